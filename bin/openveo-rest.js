@@ -0,0 +1,421 @@
+#!/usr/bin/env node
+
+'use strict';
+
+/**
+ * Calls an end point of an OpenVeo web service from the command line.
+ *
+ * Web service URL, credentials and certificate are read from options, environment variables (OPENVEO_URL,
+ * OPENVEO_CLIENT_ID, OPENVEO_CLIENT_SECRET and OPENVEO_CERTIFICATE) or a profile of the configuration file, in this
+ * order of priority. The configuration file (~/.openveo/rest-client.json by default) holds profiles by names:
+ *
+ *     {
+ *       "default": {"url": "https://openveo:3001", "clientId": "id", "clientSecret": "secret"}
+ *     }
+ *
+ * The configuration file must be readable only by its owner (mode 0600), its client secret is refused otherwise.
+ *
+ * The response body is written to the standard output, errors to the error output. Exit code is 0 on success and
+ * depends on the error otherwise (see EXIT_CODES).
+ *
+ * Usage: openveo-rest --help
+ *
+ * @module openveo-rest-nodejs-client/bin/openveo-rest
+ * @ignore
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const restClient = require('../index.js');
+const errors = restClient.errors;
+
+/**
+ * The exit codes of the command.
+ *
+ * @const
+ * @type {Object}
+ */
+const EXIT_CODES = {
+  SUCCESS: 0,
+  ERROR: 1,
+  USAGE: 2,
+  UNAUTHORIZED: 3,
+  CLIENT_ERROR: 4,
+  FORBIDDEN: 5,
+  NOT_FOUND: 6,
+  SERVER_ERROR: 7,
+  TIMEOUT: 8
+};
+
+/**
+ * The supported HTTP methods.
+ *
+ * @const
+ * @type {Array}
+ */
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+/**
+ * The command options by long names.
+ *
+ * @const
+ * @type {Object}
+ */
+const OPTIONS = {
+  url: {short: 'u', value: true},
+  'client-id': {short: 'i', value: true},
+  'client-secret': {short: 's', value: true},
+  certificate: {short: 'c', value: true},
+  profile: {short: 'p', value: true},
+  config: {value: true},
+  query: {short: 'q', value: true, multiple: true},
+  header: {short: 'H', value: true, multiple: true},
+  data: {short: 'd', value: true},
+  form: {short: 'F', value: true, multiple: true},
+  timeout: {short: 't', value: true},
+  raw: {},
+  help: {short: 'h'}
+};
+
+/**
+ * The usage of the command.
+ *
+ * @const
+ * @type {String}
+ */
+const USAGE = `Usage: openveo-rest [options] <method> <end point> [body]
+
+Calls an end point of an OpenVeo web service and writes the response body.
+
+Arguments:
+  method                         The HTTP method: ${METHODS.join(', ')}
+  end point                      The end point to call, e.g. publish/videos
+  body                           The JSON body, "-" to read it from the standard input
+
+Options:
+  -u, --url <url>                The web service URL with protocol and port (OPENVEO_URL)
+  -i, --client-id <id>           The client id (OPENVEO_CLIENT_ID)
+  -s, --client-secret <secret>   The client secret (OPENVEO_CLIENT_SECRET)
+  -c, --certificate <path>       The web service full chain certificate file (OPENVEO_CERTIFICATE)
+  -p, --profile <name>           The profile of the configuration file to use, default to "default" (OPENVEO_PROFILE)
+      --config <path>            The configuration file, default to ~/.openveo/rest-client.json (OPENVEO_CONFIG)
+  -q, --query <name=value>       A query parameter, repeat it to add several parameters
+  -H, --header <name: value>     A request header, repeat it to add several headers
+  -d, --data <json>              The JSON body, "-" to read it from the standard input
+  -F, --form <name=value>        A multipart field, "name=@path" to upload a file, repeat it to add several fields
+  -t, --timeout <ms>             Maximum execution time of the request (in ms)
+      --raw                      Write the response as raw JSON instead of pretty-printed JSON
+  -h, --help                     Display this help
+
+Configuration file:
+  The configuration file holds profiles by names, each one with url, clientId, clientSecret and certificate
+  properties. It holds secrets thus it must be readable only by its owner (chmod 600), its client secret is
+  refused otherwise.
+
+Exit codes:
+  ${EXIT_CODES.SUCCESS}  Success
+  ${EXIT_CODES.ERROR}  Error (network failure, invalid response)
+  ${EXIT_CODES.USAGE}  Invalid usage
+  ${EXIT_CODES.UNAUTHORIZED}  Authentication failed (401)
+  ${EXIT_CODES.CLIENT_ERROR}  Invalid request (400 and other 4xx)
+  ${EXIT_CODES.FORBIDDEN}  Forbidden (403)
+  ${EXIT_CODES.NOT_FOUND}  Not found (404)
+  ${EXIT_CODES.SERVER_ERROR}  Server error (5xx)
+  ${EXIT_CODES.TIMEOUT}  Timeout
+`;
+
+/**
+ * Creates an error due to an invalid usage of the command.
+ *
+ * @param {String} message The error message
+ * @return {TypeError} The error
+ */
+function createUsageError(message) {
+  const error = new TypeError(message);
+  error.exitCode = EXIT_CODES.USAGE;
+  return error;
+}
+
+/**
+ * Parses command line arguments.
+ *
+ * @param {Array} args The arguments, without node and script paths
+ * @return {Object} The options by long names (options accepting several values as Arrays) and the positional
+ * arguments (positionals property)
+ * @throws {TypeError} Thrown if an option is unknown or misses its value
+ */
+function parseArguments(args) {
+  const parsed = {positionals: []};
+  const shortNames = {};
+  Object.keys(OPTIONS).forEach((name) => {
+    if (OPTIONS[name].short) shortNames[OPTIONS[name].short] = name;
+  });
+
+  for (let index = 0; index < args.length; index++) {
+    const arg = args[index];
+
+    // "--" ends options, "-" stands for the standard input
+    if (arg === '--') {
+      parsed.positionals.push(...args.slice(index + 1));
+      break;
+    }
+
+    if (!arg.startsWith('-') || arg === '-') {
+      parsed.positionals.push(arg);
+      continue;
+    }
+
+    const match = arg.match(/^--([^=]+)(?:=(.*))?$/) || arg.match(/^-([^-])(.+)?$/);
+    const name = arg.startsWith('--') ? match && match[1] : match && shortNames[match[1]];
+    const option = name && OPTIONS[name];
+    if (!option) throw createUsageError(`Unknown option : ${arg}`);
+
+    let value = true;
+    if (option.value) {
+      value = match[2] !== undefined ? match[2] : args[++index];
+      if (value === undefined) throw createUsageError(`Missing value for option : ${arg}`);
+    }
+
+    parsed[name] = option.multiple ? (parsed[name] || []).concat(value) : value;
+  }
+
+  return parsed;
+}
+
+/**
+ * Reads the profile of the configuration file.
+ *
+ * @async
+ * @param {String} [configPath] The path of the configuration file, default to ~/.openveo/rest-client.json
+ * @param {String} [profileName] The name of the profile, default to "default"
+ * @return {Promise} Promise resolving with an Object containing the profile (profile property), an empty object if
+ * the default configuration file or the default profile doesn't exist, the path of the configuration file
+ * (filePath property) and its mode (mode property), promise is rejected if the configuration file is not valid or
+ * if the specified file or profile doesn't exist
+ */
+function readProfile(configPath, profileName) {
+  const filePath = configPath || path.join(os.homedir(), '.openveo', 'rest-client.json');
+  let mode = null;
+
+  return fs.promises.stat(filePath).then((stats) => {
+    mode = stats.mode;
+    return fs.promises.readFile(filePath, 'utf8');
+  }).then((content) => JSON.parse(content)).catch((error) => {
+    if (error.code === 'ENOENT' && !configPath && !profileName) return {};
+    throw createUsageError(`Invalid configuration file ${filePath} : ${error.message}`);
+  }).then((profiles) => {
+    const profile = profiles && profiles[profileName || 'default'];
+    if (profile && typeof profile === 'object') return {profile, filePath, mode};
+    if (!profileName) return {profile: {}, filePath, mode};
+    throw createUsageError(`Profile ${profileName} not found in ${filePath}`);
+  });
+}
+
+/**
+ * Verifies that the configuration file is readable only by its owner.
+ *
+ * Like ssh private keys, the configuration file holds secrets, it is refused if it is accessible by the group or by
+ * others (mode must be 0600 or stricter). Permissions are not verified on Windows.
+ *
+ * @param {String} filePath The path of the configuration file
+ * @param {Number} mode The mode of the configuration file
+ * @throws {Error} Thrown if the configuration file is accessible by others
+ */
+function checkConfigurationPermissions(filePath, mode) {
+  if (process.platform === 'win32' || !(mode & 0o077)) return;
+
+  throw createUsageError(
+    `Permissions 0${(mode & 0o777).toString(8)} for configuration file ${filePath} are too open, ` +
+    `it must not be accessible by others (chmod 600 ${filePath})`
+  );
+}
+
+/**
+ * Reads the standard input.
+ *
+ * @async
+ * @return {Promise} Promise resolving with the content of the standard input
+ */
+function readStandardInput() {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    process.stdin.on('data', (chunk) => chunks.push(chunk));
+    process.stdin.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    process.stdin.on('error', reject);
+  });
+}
+
+/**
+ * Parses the JSON body of the request.
+ *
+ * @async
+ * @param {String} [data] The JSON body, "-" to read it from the standard input
+ * @return {Promise} Promise resolving with the parsed body, undefined if no body
+ */
+function parseBody(data) {
+  if (data === undefined) return Promise.resolve();
+
+  return (data === '-' ? readStandardInput() : Promise.resolve(data)).then((json) => {
+    if (!json.trim()) return undefined;
+
+    try {
+      return JSON.parse(json);
+    } catch (error) {
+      throw createUsageError(`Invalid JSON body : ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Parses a list of "name=value" pairs.
+ *
+ * @param {Array} [pairs] The pairs
+ * @param {String} separator The separator between names and values
+ * @param {String} type The type of pairs, used in error messages
+ * @return {Object} The values by names, values of names present several times are gathered in Arrays
+ * @throws {TypeError} Thrown if a pair is not valid
+ */
+function parsePairs(pairs, separator, type) {
+  const values = {};
+
+  (pairs || []).forEach((pair) => {
+    const index = pair.indexOf(separator);
+    if (index < 1) throw createUsageError(`Invalid ${type} : ${pair}`);
+
+    const name = pair.slice(0, index).trim();
+    const value = pair.slice(index + separator.length).trim();
+    values[name] = values[name] === undefined ? value : [].concat(values[name], value);
+  });
+
+  return values;
+}
+
+/**
+ * Gets the exit code corresponding to an error.
+ *
+ * @param {Error} error The error
+ * @return {Number} The exit code
+ */
+function getExitCode(error) {
+  if (error.exitCode) return error.exitCode;
+  if (error instanceof errors.TimeoutError) return EXIT_CODES.TIMEOUT;
+  if (error instanceof errors.AuthenticationError || error.httpCode === 401) return EXIT_CODES.UNAUTHORIZED;
+  if (error.httpCode === 403) return EXIT_CODES.FORBIDDEN;
+  if (error.httpCode === 404) return EXIT_CODES.NOT_FOUND;
+  if (error.httpCode >= 500) return EXIT_CODES.SERVER_ERROR;
+  if (error.httpCode >= 400) return EXIT_CODES.CLIENT_ERROR;
+  return EXIT_CODES.ERROR;
+}
+
+/**
+ * Formats a value as JSON.
+ *
+ * @param {*} value The value
+ * @param {Boolean} raw true to format value as raw JSON, false to pretty-print it
+ * @return {String} The JSON
+ */
+function formatJson(value, raw) {
+  return raw ? JSON.stringify(value) : JSON.stringify(value, null, 2);
+}
+
+/**
+ * Executes the command.
+ *
+ * @async
+ * @param {Object} options The parsed arguments
+ * @return {Promise} Promise resolving when response has been written
+ * @throws {TypeError} Thrown if arguments are not valid
+ */
+function run(options) {
+  const env = process.env;
+  const [method, endPoint, body] = options.positionals;
+
+  if (!method || !METHODS.includes(method.toLowerCase()))
+    throw createUsageError(`Invalid method : ${method}`);
+
+  if (!endPoint)
+    throw createUsageError('Missing end point');
+
+  if (body !== undefined && options.data !== undefined)
+    throw createUsageError('Body can\'t be specified both as argument and with --data');
+
+  if ((body !== undefined || options.data !== undefined) && options.form)
+    throw createUsageError('JSON body and multipart fields can\'t be used together');
+
+  if (options.timeout !== undefined && !(Number(options.timeout) > 0))
+    throw createUsageError(`Invalid timeout : ${options.timeout}`);
+
+  const descriptor = {
+    query: parsePairs(options.query, '=', 'query parameter'),
+    headers: parsePairs(options.header, ':', 'header'),
+    responseType: 'json'
+  };
+  if (options.timeout !== undefined) descriptor.timeout = Number(options.timeout);
+
+  if (options.form) {
+
+    // Values starting with "@" are paths of files to upload
+    const fields = parsePairs(options.form, '=', 'form field');
+    Object.keys(fields).forEach((name) => {
+      fields[name] = [].concat(fields[name]).map((value) => {
+        return value.startsWith('@') ? {path: path.resolve(value.slice(1))} : value;
+      });
+      if (fields[name].length === 1) fields[name] = fields[name][0];
+    });
+
+    descriptor.body = fields;
+    descriptor.multipart = true;
+  }
+
+  return Promise.all([
+    readProfile(options.config || env.OPENVEO_CONFIG, options.profile || env.OPENVEO_PROFILE),
+    parseBody(body !== undefined ? body : options.data)
+  ]).then(([configuration, jsonBody]) => {
+    const profile = configuration.profile;
+    const url = options.url || env.OPENVEO_URL || profile.url;
+    const clientId = options['client-id'] || env.OPENVEO_CLIENT_ID || profile.clientId;
+    const clientSecret = options['client-secret'] || env.OPENVEO_CLIENT_SECRET || profile.clientSecret;
+    const certificate = options.certificate || env.OPENVEO_CERTIFICATE || profile.certificate;
+
+    if (!url) throw createUsageError('Missing web service URL');
+    if (!clientId || !clientSecret) throw createUsageError('Missing client credentials');
+
+    // Client secret of the configuration file can only be used if the file is private
+    if (!options['client-secret'] && !env.OPENVEO_CLIENT_SECRET)
+      checkConfigurationPermissions(configuration.filePath, configuration.mode);
+
+    if (jsonBody !== undefined) descriptor.body = jsonBody;
+
+    const client = new restClient.OpenVeoClient(url, clientId, clientSecret, certificate);
+
+    return client.request(method, endPoint, descriptor).then((result) => {
+      delete result.httpCode;
+      process.stdout.write(`${formatJson(result, options.raw)}\n`);
+    }).finally(() => client.close());
+  });
+}
+
+let options;
+
+try {
+  options = parseArguments(process.argv.slice(2));
+} catch (error) {
+  options = {error};
+}
+
+if (options.help) {
+  process.stdout.write(USAGE);
+} else {
+  Promise.resolve().then(() => {
+    if (options.error) throw options.error;
+    return run(options);
+  }).catch((error) => {
+    process.stderr.write(`Error: ${error.message}\n`);
+    if (error.body && Object.keys(error.body).length)
+      process.stderr.write(`${formatJson(error.body, options.raw)}\n`);
+    if (error.exitCode === EXIT_CODES.USAGE) process.stderr.write('See openveo-rest --help\n');
+
+    process.exitCode = getExitCode(error);
+  });
+}
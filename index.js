@@ -4,13 +4,38 @@
  * Exposes a list of modules used to create an OpenVeo REST client.
  *
  * @module openveo-rest-nodejs-client
+ * @property {module:openveo-rest-nodejs-client/api} api Web service API wrappers module
+ * @property {module:openveo-rest-nodejs-client/authentication} authentication Authentication strategies module
+ * @property {module:openveo-rest-nodejs-client/Batch} Batch Batch module
+ * @property {module:openveo-rest-nodejs-client/errors} errors Errors module
  * @property {module:openveo-rest-nodejs-client/OpenVeoClient} OpenVeoClient OpenVeoClient module
+ * @property {module:openveo-rest-nodejs-client/Paginator} Paginator Paginator module
+ * @property {module:openveo-rest-nodejs-client/RateLimiter} RateLimiter RateLimiter module
  * @property {module:openveo-rest-nodejs-client/Request} Request Request module
+ * @property {module:openveo-rest-nodejs-client/ResumableUpload} ResumableUpload ResumableUpload module
  * @property {module:openveo-rest-nodejs-client/RestClient} RestClient RestClient module
+ * @property {module:openveo-rest-nodejs-client/RetryPolicy} RetryPolicy RetryPolicy module
+ * @property {module:openveo-rest-nodejs-client/stores} stores Token stores module
+ * @property {module:openveo-rest-nodejs-client/testing} testing Testing utilities module, loaded on first access
  */
 
 require('./processRequire.js');
 
+module.exports.api = process.requireRestClient('lib/api/index.js');
+module.exports.authentication = process.requireRestClient('lib/authentication/index.js');
+module.exports.Batch = process.requireRestClient('lib/Batch.js');
+module.exports.errors = process.requireRestClient('lib/errors/index.js');
 module.exports.OpenVeoClient = process.requireRestClient('lib/OpenVeoClient.js');
+module.exports.Paginator = process.requireRestClient('lib/Paginator.js');
+module.exports.RateLimiter = process.requireRestClient('lib/RateLimiter.js');
 module.exports.Request = process.requireRestClient('lib/Request.js');
+module.exports.ResumableUpload = process.requireRestClient('lib/ResumableUpload.js');
 module.exports.RestClient = process.requireRestClient('lib/RestClient.js');
+module.exports.RetryPolicy = process.requireRestClient('lib/RetryPolicy.js');
+module.exports.stores = process.requireRestClient('lib/stores/index.js');
+
+// Testing utilities are only loaded when used
+Object.defineProperty(module.exports, 'testing', {
+  enumerable: true,
+  get: () => process.requireRestClient('lib/testing/index.js')
+});
@@ -0,0 +1,450 @@
+'use strict';
+
+/**
+ * @module openveo-rest-nodejs-client/Batch
+ */
+
+const errors = process.requireRestClient('lib/errors/index.js');
+const AbortError = errors.AbortError;
+
+/**
+ * The placeholder replaced by the comma separated list of ids in end points of grouped operations.
+ *
+ * @private
+ * @const
+ * @type {String}
+ */
+const IDS_PLACEHOLDER = ':ids';
+
+/**
+ * Builds the end point of a request on a list of ids.
+ *
+ * @private
+ * @param {String} endPoint The end point with the ids placeholder
+ * @param {Array} ids The list of ids
+ * @return {String} The end point with the comma separated list of ids
+ */
+function buildIdsEndPoint(endPoint, ids) {
+  return endPoint.replace(IDS_PLACEHOLDER, ids.map((id) => encodeURIComponent(id)).join(','));
+}
+
+/**
+ * Validates a list of entity ids.
+ *
+ * @private
+ * @param {(String|Array)} ids An id or a list of ids
+ * @return {Array} The list of ids
+ * @throws {TypeError} Thrown if ids is not a valid String or a valid Array of Strings
+ */
+function validateIds(ids) {
+  ids = Array.isArray(ids) ? ids : [ids];
+
+  if (!ids.length || !ids.every((id) => id && typeof id === 'string'))
+    throw new TypeError(`Invalid ids : ${ids}`);
+
+  return ids;
+}
+
+class Batch {
+
+  /**
+   * Creates a batch of operations executed with bounded parallelism.
+   *
+   * Operations are either single requests or requests on lists of ids. End points accepting comma separated lists of
+   * ids (e.g. "publish/videos/:ids") are requested with groups of ids, limited to maxIds ids per request. At most
+   * concurrency requests are executed at the same time.
+   *
+   * A failed operation doesn't stop the batch: the batch resolves with a report describing the outcome of each item,
+   * the item being the operation or, for operations on lists of ids, each id. See requestIds and delete for how
+   * the outcome of each id of a group is determined.
+   *
+   * @example
+   * const Batch = require('@openveo/rest-nodejs-client').Batch;
+   * const batch = new Batch(client, {concurrency: 5});
+   *
+   * const report = await batch
+   *   .update('publish/videos', {'video-id-1': {title: 'Title 1'}, 'video-id-2': {title: 'Title 2'}})
+   *   .delete('publish/videos', ['video-id-3', 'video-id-4'])
+   *   .run();
+   *
+   * report.items.filter((item) => item.status === 'rejected').forEach((item) => {
+   *   console.log(`${item.method} ${item.endPoint} failed for ${item.id}: ${item.reason.message}`);
+   * });
+   *
+   * @class Batch
+   * @constructor
+   * @param {module:openveo-rest-nodejs-client/RestClient~RestClient} client The client used to send requests
+   * @param {Object} [options] Batch options
+   * @param {Number} [options.concurrency=5] The maximum number of requests executed at the same time
+   * @param {Number} [options.maxIds=50] The maximum number of ids sent in a single request by grouped operations
+   * @param {AbortSignal} [options.signal] A signal to abort the batch, pending requests are aborted and operations not
+   * executed yet are reported as rejected with an AbortError
+   * @throws {TypeError} Thrown if client or an option is not valid
+   */
+  constructor(client, options) {
+    options = Object.assign({concurrency: 5, maxIds: 50}, options);
+
+    if (!client || typeof client.request !== 'function')
+      throw new TypeError(`Invalid client : ${client}`);
+
+    if (!Number.isInteger(options.concurrency) || options.concurrency <= 0)
+      throw new TypeError(`Invalid concurrency : ${options.concurrency}`);
+
+    if (!Number.isInteger(options.maxIds) || options.maxIds <= 0)
+      throw new TypeError(`Invalid maxIds : ${options.maxIds}`);
+
+    Object.defineProperties(this,
+
+      /** @lends module:openveo-rest-nodejs-client/Batch~Batch */
+      {
+
+        /**
+         * The client used to send requests.
+         *
+         * @type {module:openveo-rest-nodejs-client/RestClient~RestClient}
+         * @readonly
+         * @instance
+         */
+        client: {value: client},
+
+        /**
+         * The maximum number of requests executed at the same time.
+         *
+         * @type {Number}
+         * @default 5
+         * @readonly
+         * @instance
+         */
+        concurrency: {value: options.concurrency, enumerable: true},
+
+        /**
+         * The maximum number of ids sent in a single request by grouped operations.
+         *
+         * @type {Number}
+         * @default 50
+         * @readonly
+         * @instance
+         */
+        maxIds: {value: options.maxIds, enumerable: true},
+
+        /**
+         * The signal to abort the batch.
+         *
+         * @type {AbortSignal}
+         * @readonly
+         * @instance
+         */
+        signal: {value: options.signal},
+
+        /**
+         * The operations of the batch, in the order they have been added.
+         *
+         * @type {Array}
+         * @readonly
+         * @instance
+         * @ignore
+         */
+        operations: {value: []}
+
+      }
+
+    );
+  }
+
+  /**
+   * Adds a request to the batch.
+   *
+   * @param {String} method The HTTP method to use
+   * @param {String} endPoint The web service end point to reach
+   * @param {module:openveo-rest-nodejs-client/RestClient~RequestDescriptor} [descriptor] The request descriptor
+   * @param {String} [id] The id identifying the item in the report, default to the end point
+   * @return {module:openveo-rest-nodejs-client/Batch~Batch} The batch
+   * @throws {TypeError} Thrown if method or endPoint is not a valid String
+   */
+  request(method, endPoint, descriptor, id) {
+    if (!method || typeof method !== 'string')
+      throw new TypeError(`Invalid method : ${method}`);
+
+    if (!endPoint || typeof endPoint !== 'string')
+      throw new TypeError(`Invalid end point : ${endPoint}`);
+
+    this.operations.push({method: method.toUpperCase(), endPoint, descriptor, ids: [id || endPoint]});
+    return this;
+  }
+
+  /**
+   * Adds a request on a list of ids to the batch.
+   *
+   * The end point must accept a comma separated list of ids, ids are split into groups of maxIds ids and each group
+   * is sent in its own request. If the web service responds with the number of affected entities (total property),
+   * it is compared to the number of ids.
+   *
+   * If the web service refuses the request of a group (4xx HTTP code), nothing has been changed and the ids of the
+   * group are requested again one by one, each id is then reported with the outcome of its own request. Other
+   * failures are reported for all the ids of the group.
+   *
+   * If the request of a group succeeds but affects less entities than the number of ids, the group is not requested
+   * again as it has already changed data: its ids are reported as "partial", the outcome of each id being unknown.
+   * A single id affecting no entity is reported as rejected.
+   *
+   * @example
+   * batch.requestIds('post', 'publish/videos/:ids/publish', ['video-id-1', 'video-id-2']);
+   *
+   * @param {String} method The HTTP method to use
+   * @param {String} endPoint The web service end point to reach, the ":ids" placeholder is replaced by the comma
+   * separated list of ids, ids are appended to the end point if it doesn't contain the placeholder
+   * @param {(String|Array)} ids The id or the list of ids
+   * @param {module:openveo-rest-nodejs-client/RestClient~RequestDescriptor} [descriptor] The request descriptor
+   * @return {module:openveo-rest-nodejs-client/Batch~Batch} The batch
+   * @throws {TypeError} Thrown if method, endPoint or ids is not valid
+   */
+  requestIds(method, endPoint, ids, descriptor) {
+    ids = validateIds(ids);
+
+    if (!method || typeof method !== 'string')
+      throw new TypeError(`Invalid method : ${method}`);
+
+    if (!endPoint || typeof endPoint !== 'string')
+      throw new TypeError(`Invalid end point : ${endPoint}`);
+
+    if (!endPoint.includes(IDS_PLACEHOLDER)) endPoint = `${endPoint.replace(/\/$/, '')}/${IDS_PLACEHOLDER}`;
+
+    for (let index = 0; index < ids.length; index += this.maxIds) {
+      const group = ids.slice(index, index + this.maxIds);
+
+      this.operations.push({
+        method: method.toUpperCase(),
+        endPoint: buildIdsEndPoint(endPoint, group),
+        idsEndPoint: endPoint,
+        descriptor,
+        ids: group
+      });
+    }
+
+    return this;
+  }
+
+  /**
+   * Adds the update of a list of entities to the batch.
+   *
+   * Each entity is updated with its own request (POST end point/id).
+   *
+   * @param {String} endPoint The web service end point of the entities (e.g. "publish/videos")
+   * @param {Object} updates The fields to update by entity id
+   * @param {module:openveo-rest-nodejs-client/RestClient~RequestDescriptor} [descriptor] The request descriptor
+   * @return {module:openveo-rest-nodejs-client/Batch~Batch} The batch
+   * @throws {TypeError} Thrown if endPoint or updates is not valid
+   */
+  update(endPoint, updates, descriptor) {
+    if (!updates || typeof updates !== 'object')
+      throw new TypeError(`Invalid updates : ${updates}`);
+
+    if (!endPoint || typeof endPoint !== 'string')
+      throw new TypeError(`Invalid end point : ${endPoint}`);
+
+    Object.keys(updates).forEach((id) => {
+      const body = updates[id];
+      this.request('post', `${endPoint}/${encodeURIComponent(id)}`, Object.assign({}, descriptor, {body}), id);
+    });
+
+    return this;
+  }
+
+  /**
+   * Adds the deletion of a list of entities to the batch.
+   *
+   * Entities are deleted by groups of maxIds entities (DELETE end point/ids), see requestIds.
+   *
+   * If a group deletes less entities than the number of ids, each entity of the group is requested (GET end
+   * point/id) instead of being deleted again: entities not found anymore are reported as fulfilled, others as
+   * rejected. Note that an id of an entity which didn't exist is then reported as fulfilled.
+   *
+   * @param {String} endPoint The web service end point of the entities (e.g. "publish/videos")
+   * @param {(String|Array)} ids The id or the list of ids of the entities to delete
+   * @param {module:openveo-rest-nodejs-client/RestClient~RequestDescriptor} [descriptor] The request descriptor
+   * @return {module:openveo-rest-nodejs-client/Batch~Batch} The batch
+   * @throws {TypeError} Thrown if endPoint or ids is not valid
+   */
+  delete(endPoint, ids, descriptor) {
+    const operationsCount = this.operations.length;
+    this.requestIds('delete', endPoint, ids, descriptor);
+
+    // Deletions of groups can be verified by requesting the entities
+    this.operations.slice(operationsCount).forEach((operation) => operation.verifyDeletion = true);
+    return this;
+  }
+
+  /**
+   * Executes an operation.
+   *
+   * @async
+   * @ignore
+   * @param {Object} operation The operation to execute
+   * @return {Promise} Promise resolving with the outcome of the operation, an Object with the status ("fulfilled"
+   * or "rejected") and the response body (value property) or the error (reason property), a request on ids which
+   * affected less entities than the number of ids is fulfilled with an affected property set to false
+   */
+  execute(operation) {
+    if (this.signal && this.signal.aborted) return Promise.resolve({status: 'rejected', reason: new AbortError()});
+
+    const descriptor = Object.assign({}, operation.descriptor, {fullResponse: false, responseType: 'json'});
+    if (this.signal && !descriptor.signal) descriptor.signal = this.signal;
+
+    // An invalid descriptor fails the operation, not the whole batch
+    return Promise.resolve().then(() => {
+      return this.client.request(operation.method, operation.endPoint, descriptor);
+    }).then((result) => {
+      delete result.httpCode;
+      const outcome = {status: 'fulfilled', value: result};
+      if (operation.idsEndPoint && typeof result.total === 'number' && result.total < operation.ids.length)
+        outcome.affected = false;
+
+      return outcome;
+    }, (error) => {
+      return {status: 'rejected', reason: error};
+    });
+  }
+
+  /**
+   * Sets the outcome of an executed task or the tasks needed to determine it.
+   *
+   * A task holds an operation (operation property) and, for tasks verifying a deletion, the verified operation and
+   * its response (verifiedOperation and value properties).
+   *
+   * @ignore
+   * @param {Object} task The executed task
+   * @param {Object} outcome The outcome of the task operation
+   * @return {Array} The tasks to execute to determine the outcome of each id of the task, empty if the outcome of
+   * the task (outcome property) has been set
+   */
+  settleTask(task, outcome) {
+    const operation = task.operation;
+
+    if (task.verifiedOperation) {
+      const verifiedOperation = task.verifiedOperation;
+      const id = operation.ids[0];
+
+      // Entities not found anymore have been deleted, entities still found haven't
+      const error = new Error(`${verifiedOperation.method} ${verifiedOperation.endPoint} didn't affect ${id}`);
+      if (outcome.status === 'fulfilled') task.outcome = {status: 'rejected', reason: error};
+      else if (outcome.reason.httpCode === 404) task.outcome = {status: 'fulfilled', value: task.value};
+      else task.outcome = {status: 'partial', value: task.value};
+
+      return [];
+    }
+
+    if (outcome.affected === false) {
+      if (operation.ids.length === 1) {
+        const error = new Error(`${operation.method} ${operation.endPoint} didn't affect ${operation.ids[0]}`);
+        task.outcome = {status: 'rejected', reason: error};
+        return [];
+      }
+
+      // Group has already changed data thus it can't be requested again
+      if (!operation.verifyDeletion) {
+        task.outcome = {status: 'partial', value: outcome.value};
+        return [];
+      }
+
+      task.subTasks = operation.ids.map((id) => {
+        return {
+          operation: {method: 'GET', endPoint: buildIdsEndPoint(operation.idsEndPoint, [id]), ids: [id]},
+          verifiedOperation: operation,
+          value: outcome.value
+        };
+      });
+      return task.subTasks;
+    }
+
+    const refused = outcome.status === 'rejected' && outcome.reason.httpCode >= 400 && outcome.reason.httpCode < 500;
+    if (refused && operation.idsEndPoint && operation.ids.length > 1) {
+
+      // Nothing has been changed, ids of the group are requested one by one to get the outcome of each id
+      task.subTasks = operation.ids.map((id) => {
+        const endPoint = buildIdsEndPoint(operation.idsEndPoint, [id]);
+        return {operation: Object.assign({}, operation, {endPoint, ids: [id]})};
+      });
+      return task.subTasks;
+    }
+
+    task.outcome = outcome;
+    return [];
+  }
+
+  /**
+   * Executes the operations of the batch.
+   *
+   * Operations are started in the order they have been added, with at most concurrency requests at the same time.
+   * The promise is never rejected because of a failed operation, failures are described in the report.
+   *
+   * @async
+   * @return {Promise} Promise resolving with the
+   * {@link module:openveo-rest-nodejs-client/Batch~Batch~Report} of the batch
+   */
+  run() {
+    const tasks = this.operations.map((operation) => ({operation}));
+    const operationsTasks = tasks.slice();
+    let nextIndex = 0;
+    let runningCount = 0;
+
+    return new Promise((resolve) => {
+
+      // Start tasks until the limit of concurrent requests is reached, tasks may add new tasks
+      const startTasks = () => {
+        while (runningCount < this.concurrency && nextIndex < tasks.length) {
+          const task = tasks[nextIndex++];
+          runningCount++;
+
+          this.execute(task.operation).then((outcome) => {
+            runningCount--;
+            tasks.push(...this.settleTask(task, outcome));
+            startTasks();
+            if (!runningCount && nextIndex >= tasks.length) resolve();
+          });
+        }
+      };
+
+      startTasks();
+      if (!tasks.length) resolve();
+
+    }).then(() => {
+      const items = [];
+
+      const addItems = (task) => {
+        if (task.subTasks) return task.subTasks.forEach(addItems);
+
+        // Verifications are reported as the verified operation
+        const operation = task.verifiedOperation || task.operation;
+        const ids = task.verifiedOperation ? task.operation.ids : operation.ids;
+        ids.forEach((id) => {
+          items.push(Object.assign({id, method: operation.method, endPoint: operation.endPoint}, task.outcome));
+        });
+      };
+      operationsTasks.forEach(addItems);
+
+      const countItems = (status) => items.filter((item) => item.status === status).length;
+      return {
+        total: items.length,
+        succeeded: countItems('fulfilled'),
+        failed: countItems('rejected'),
+        partial: countItems('partial'),
+        items
+      };
+    });
+  }
+
+}
+
+/**
+ * @typedef {Object} module:openveo-rest-nodejs-client/Batch~Batch~Report
+ * @property {Number} total The number of items
+ * @property {Number} succeeded The number of items which succeeded
+ * @property {Number} failed The number of items which failed
+ * @property {Number} partial The number of items of groups which partially succeeded, with an unknown outcome
+ * @property {Array} items The items in the order of the operations, each item with its id (id property), the
+ * HTTP method and the end point of its request (method and endPoint properties), its status ("fulfilled",
+ * "rejected" or "partial"), the response body if it succeeded or partially succeeded (value property) and the
+ * error if it failed (reason property)
+ */
+
+module.exports = Batch;
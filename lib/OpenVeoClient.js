@@ -7,6 +7,11 @@
  */
 
 const RestClient = process.requireRestClient('lib/RestClient.js');
+const ClientCredentialsStrategy = process.requireRestClient('lib/authentication/ClientCredentialsStrategy.js');
+const CoreApi = process.requireRestClient('lib/api/CoreApi.js');
+const PublishApi = process.requireRestClient('lib/api/PublishApi.js');
+const Paginator = process.requireRestClient('lib/Paginator.js');
+const Batch = process.requireRestClient('lib/Batch.js');
 
 class OpenVeoClient extends RestClient {
 
@@ -17,6 +22,9 @@ class OpenVeoClient extends RestClient {
    * client and are transparent to the user. Requesting an end point, without being authenticated, will automatically
    * authenticate first before calling the end point. If token expired, a new authentication is made automatically.
    *
+   * Client authenticates using OAuth client credentials (see
+   * {@link module:openveo-rest-nodejs-client/authentication/ClientCredentialsStrategy~ClientCredentialsStrategy}).
+   *
    * @example
    * const OpenVeoClient = require('@openveo/rest-nodejs-client').OpenVeoClient;
    * const client = new OpenVeoClient(
@@ -33,10 +41,11 @@ class OpenVeoClient extends RestClient {
    * @param {String} clientId Application's client id
    * @param {String} clientSecret Application's client secret
    * @param {String} [certificate] Absolute path to the web service server full chain certificate file
+   * @param {Object} [options] Client options, see {@link module:openveo-rest-nodejs-client/RestClient~RestClient}
    * @throws {TypeError} Thrown if webServiceUrl, clientId or clientSecret is not a valid String
    */
-  constructor(webServiceUrl, clientId, clientSecret, certificate) {
-    super(webServiceUrl, certificate);
+  constructor(webServiceUrl, clientId, clientSecret, certificate, options) {
+    super(webServiceUrl, certificate, options);
 
     if (!clientId || typeof clientId !== 'string')
       throw new TypeError(`Invalid client id : ${clientId}`);
@@ -44,6 +53,8 @@ class OpenVeoClient extends RestClient {
     if (!clientSecret || typeof clientSecret !== 'string')
       throw new TypeError(`Invalid client secret : ${clientSecret}`);
 
+    let authenticateRequest = null;
+
     Object.defineProperties(this,
 
       /** @lends module:openveo-rest-nodejs-client/OpenVeoClient~OpenVeoClient */
@@ -74,42 +85,123 @@ class OpenVeoClient extends RestClient {
          * @instance
          * @readonly
          */
-        credentials: {value: Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}
+        credentials: {value: Buffer.from(`${clientId}:${clientSecret}`).toString('base64')},
+
+        /**
+         * The authenticate request to get an access token.
+         *
+         * Request is built on first access. It is only used to authenticate if authenticationStrategy is removed.
+         *
+         * @deprecated Authentication is performed by the authentication strategy, see authenticationStrategy
+         * @type {module:openveo-rest-nodejs-client/Request~Request}
+         * @instance
+         * @readonly
+         */
+        authenticateRequest: {
+          get: () => {
+            if (!authenticateRequest) {
+              authenticateRequest = this.buildRequest({
+                path: '/token',
+                method: 'POST',
+                headers: {
+                  Authorization: `Basic ${this.credentials}`,
+                  'Content-Type': 'application/json'
+                }
+              }, {grant_type: 'client_credentials'});
+            }
+            return authenticateRequest;
+          }
+        },
+
+        /**
+         * OpenVeo core web service API.
+         *
+         * @type {module:openveo-rest-nodejs-client/api/CoreApi~CoreApi}
+         * @instance
+         * @readonly
+         */
+        core: {value: new CoreApi(this)},
+
+        /**
+         * OpenVeo Publish plugin web service API.
+         *
+         * @type {module:openveo-rest-nodejs-client/api/PublishApi~PublishApi}
+         * @instance
+         * @readonly
+         */
+        publish: {value: new PublishApi(this)}
 
       }
 
     );
 
-    /**
-     * The authenticate request to get an access token.
-     *
-     * @name authenticateRequest
-     * @type {module:openveo-rest-nodejs-client/Request~Request}
-     * @memberof module:openveo-rest-nodejs-client/OpenVeoClient~OpenVeoClient
-     * @readonly
-     * @instance
-     */
-    Object.defineProperty(this, 'authenticateRequest', {
-      value: this.buildRequest({
-        path: '/token',
-        method: 'POST',
-        headers: {
-          Authorization: `Basic ${this.credentials}`,
-          'Content-Type': 'application/json'
-        }
-      }, {grant_type: 'client_credentials'})
-    });
+    this.authenticationStrategy = new ClientCredentialsStrategy(clientId, clientSecret);
   }
 
   /**
    * Gets the list of headers to send with each request.
    *
+   * Without authentication strategy, the access token delivered to the deprecated authenticateRequest is sent as a
+   * bearer token.
+   *
    * @return {Object} The list of headers to add to all requests sent to the server
    */
   getAuthenticationHeaders() {
-    return {
-      Authorization: `Bearer ${this.accessToken}`
-    };
+    if (this.authenticationStrategy) return super.getAuthenticationHeaders();
+    return {Authorization: `Bearer ${this.accessToken}`};
+  }
+
+  /**
+   * Iterates over the entities of a paginated end point.
+   *
+   * Pages are requested as entities are consumed, see
+   * {@link module:openveo-rest-nodejs-client/Paginator~Paginator} for more information.
+   *
+   * @example
+   * for await (const video of client.paginate('publish/videos', {query: {states: [12]}, limit: 50})) {
+   *   console.log(video.title);
+   * }
+   *
+   * @param {String} endPoint The web service end point to reach
+   * @param {Object} [options] Pagination options and request descriptor used to request each page
+   * @param {Object} [options.query] The query parameters, page and limit are added by the paginator
+   * @param {Number} [options.limit] The number of entities per page, default to the web service page size
+   * @param {Number} [options.page=0] The first page to request
+   * @param {Number} [options.maxItems=Infinity] The maximum number of entities to iterate over
+   * @param {Boolean} [options.prefetch=false] true to request the next page as soon as a page is received
+   * @param {AbortSignal} [options.signal] A signal to cancel the iteration, iterator is then rejected with an
+   * AbortError
+   * @return {module:openveo-rest-nodejs-client/Paginator~Paginator} An async iterator over the entities
+   * @throws {TypeError} Thrown if endPoint or an option is not valid
+   */
+  paginate(endPoint, options) {
+    return new Paginator(this, endPoint, options);
+  }
+
+  /**
+   * Creates a batch of operations executed with bounded parallelism.
+   *
+   * Operations on lists of ids are grouped into requests of comma separated ids, other operations are executed
+   * one request per operation. The batch resolves with a report of the outcome of each item instead of rejecting on
+   * the first failure, see {@link module:openveo-rest-nodejs-client/Batch~Batch} for more information.
+   *
+   * @example
+   * const report = await client.batch({concurrency: 10})
+   *   .update('publish/videos', {'video-id-1': {title: 'Title 1'}, 'video-id-2': {title: 'Title 2'}})
+   *   .delete('publish/videos', videoIds)
+   *   .run();
+   *
+   * console.log(`${report.succeeded} / ${report.total} succeeded`);
+   *
+   * @param {Object} [options] Batch options
+   * @param {Number} [options.concurrency=5] The maximum number of requests executed at the same time
+   * @param {Number} [options.maxIds=50] The maximum number of ids sent in a single request by grouped operations
+   * @param {AbortSignal} [options.signal] A signal to abort the batch
+   * @return {module:openveo-rest-nodejs-client/Batch~Batch} The batch, operations are executed by its run method
+   * @throws {TypeError} Thrown if an option is not valid
+   */
+  batch(options) {
+    return new Batch(this, options);
   }
 
 }
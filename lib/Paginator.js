@@ -0,0 +1,398 @@
+'use strict';
+
+/**
+ * @module openveo-rest-nodejs-client/Paginator
+ */
+
+const errors = process.requireRestClient('lib/errors/index.js');
+const AbortError = errors.AbortError;
+
+/**
+ * Options of Paginator which are not part of the request descriptor.
+ *
+ * @private
+ * @const
+ * @type {Array}
+ */
+const PAGINATION_PROPERTIES = ['limit', 'page', 'maxItems', 'prefetch', 'signal'];
+
+class Paginator {
+
+  /**
+   * Creates an async iterator over the entities of a paginated end point.
+   *
+   * Pages are requested one after the other, as entities are consumed, until the last page (as described by the
+   * pagination returned by the web service) or the maximum number of items is reached. The next page can be
+   * requested while entities of the current page are consumed (prefetch option).
+   *
+   * Iteration can be stopped by breaking out of the loop, which cancels the prefetched page if any, or using an
+   * AbortSignal, in which case the iterator is rejected with an AbortError.
+   *
+   * @example
+   * const Paginator = require('@openveo/rest-nodejs-client').Paginator;
+   * const videos = new Paginator(client, 'publish/videos', {query: {states: [12]}, limit: 50});
+   *
+   * for await (const video of videos) {
+   *   console.log(video.title);
+   * }
+   *
+   * @class Paginator
+   * @constructor
+   * @param {module:openveo-rest-nodejs-client/RestClient~RestClient} client The client used to request pages
+   * @param {String} endPoint The web service end point to reach, responding with entities (entities property) and
+   * pagination (pagination property with pages property)
+   * @param {Object} [options] Pagination options and request descriptor used to request each page (see
+   * {@link module:openveo-rest-nodejs-client/RestClient~RequestDescriptor})
+   * @param {Object} [options.query] The query parameters, page and limit are added by the paginator
+   * @param {Number} [options.limit] The number of entities per page, default to the web service page size
+   * @param {Number} [options.page=0] The first page to request
+   * @param {Number} [options.maxItems=Infinity] The maximum number of entities to iterate over
+   * @param {Boolean} [options.prefetch=false] true to request the next page as soon as a page is received
+   * @param {AbortSignal} [options.signal] A signal to cancel the iteration
+   * @throws {TypeError} Thrown if client, endPoint or an option is not valid
+   */
+  constructor(client, endPoint, options) {
+    options = Object.assign({page: 0, maxItems: Infinity, prefetch: false}, options);
+
+    if (!client || typeof client.request !== 'function')
+      throw new TypeError(`Invalid client : ${client}`);
+
+    if (!endPoint || typeof endPoint !== 'string')
+      throw new TypeError(`Invalid end point : ${endPoint}`);
+
+    if (options.limit !== undefined && !(options.limit > 0))
+      throw new TypeError(`Invalid limit : ${options.limit}`);
+
+    if (!(options.page >= 0))
+      throw new TypeError(`Invalid page : ${options.page}`);
+
+    if (!(options.maxItems >= 0))
+      throw new TypeError(`Invalid maxItems : ${options.maxItems}`);
+
+    const descriptor = Object.assign({}, options, {fullResponse: false, responseType: 'json'});
+    PAGINATION_PROPERTIES.forEach((property) => delete descriptor[property]);
+
+    Object.defineProperties(this,
+
+      /** @lends module:openveo-rest-nodejs-client/Paginator~Paginator */
+      {
+
+        /**
+         * The client used to request pages.
+         *
+         * @type {module:openveo-rest-nodejs-client/RestClient~RestClient}
+         * @readonly
+         * @instance
+         */
+        client: {value: client},
+
+        /**
+         * The web service end point to reach.
+         *
+         * @type {String}
+         * @readonly
+         * @instance
+         */
+        endPoint: {value: endPoint, enumerable: true},
+
+        /**
+         * The number of entities per page, undefined to use the web service page size.
+         *
+         * @type {Number}
+         * @readonly
+         * @instance
+         */
+        limit: {value: options.limit, enumerable: true},
+
+        /**
+         * The maximum number of entities to iterate over.
+         *
+         * @type {Number}
+         * @default Infinity
+         * @readonly
+         * @instance
+         */
+        maxItems: {value: options.maxItems, enumerable: true},
+
+        /**
+         * Indicates if the next page is requested as soon as a page is received.
+         *
+         * @type {Boolean}
+         * @default false
+         * @readonly
+         * @instance
+         */
+        prefetch: {value: Boolean(options.prefetch), enumerable: true},
+
+        /**
+         * The signal to cancel the iteration.
+         *
+         * @type {AbortSignal}
+         * @readonly
+         * @instance
+         */
+        signal: {value: options.signal},
+
+        /**
+         * The request descriptor used to request pages, without pagination query parameters.
+         *
+         * @type {module:openveo-rest-nodejs-client/RestClient~RequestDescriptor}
+         * @readonly
+         * @instance
+         * @ignore
+         */
+        descriptor: {value: descriptor},
+
+        /**
+         * The controller used to abort pending page requests, signaled when iteration is stopped.
+         *
+         * @type {AbortController}
+         * @readonly
+         * @instance
+         * @ignore
+         */
+        abortController: {value: new AbortController()},
+
+        /**
+         * The function called when signal is aborted.
+         *
+         * @type {Function}
+         * @readonly
+         * @instance
+         * @ignore
+         */
+        onAbort: {value: () => this.abortController.abort()},
+
+        /**
+         * The next page to request.
+         *
+         * @type {Number}
+         * @instance
+         * @ignore
+         */
+        nextPage: {value: options.page, writable: true},
+
+        /**
+         * Indicates if the last page has been requested.
+         *
+         * @type {Boolean}
+         * @instance
+         * @ignore
+         */
+        lastPageRequested: {value: false, writable: true},
+
+        /**
+         * The received entities not consumed yet.
+         *
+         * @type {Array}
+         * @instance
+         * @ignore
+         */
+        entities: {value: [], writable: true},
+
+        /**
+         * The page request in progress if any.
+         *
+         * @type {Promise}
+         * @instance
+         * @ignore
+         */
+        pendingPage: {value: null, writable: true},
+
+        /**
+         * The last call to next, calls to next are chained to be resolved in order.
+         *
+         * @type {Promise}
+         * @instance
+         * @ignore
+         */
+        pendingNext: {value: Promise.resolve(), writable: true},
+
+        /**
+         * The number of entities iterated over.
+         *
+         * @type {Number}
+         * @instance
+         */
+        count: {value: 0, writable: true, enumerable: true},
+
+        /**
+         * The total number of pages as returned by the web service, null until the first page is received.
+         *
+         * @type {Number}
+         * @instance
+         */
+        pages: {value: null, writable: true, enumerable: true},
+
+        /**
+         * Indicates if the iteration is over.
+         *
+         * @type {Boolean}
+         * @instance
+         */
+        done: {value: false, writable: true, enumerable: true}
+
+      }
+
+    );
+
+    if (this.signal) this.signal.addEventListener('abort', this.onAbort, {once: true});
+  }
+
+  /**
+   * Requests the next page.
+   *
+   * @async
+   * @ignore
+   * @return {Promise} Promise resolving with the entities of the page
+   */
+  requestPage() {
+    const page = this.nextPage++;
+    const query = Object.assign({}, this.descriptor.query, {page});
+    if (this.limit !== undefined) query.limit = this.limit;
+
+    const descriptor = Object.assign({}, this.descriptor, {query, signal: this.abortController.signal});
+
+    return this.client.request('get', this.endPoint, descriptor).then((result) => {
+      if (!Array.isArray(result.entities))
+        throw new TypeError(`End point ${this.endPoint} didn't respond with a list of entities`);
+
+      // Without pagination information the end point is considered not paginated
+      const pagination = result.pagination;
+      this.pages = pagination ? pagination.pages : 1;
+      if (!result.entities.length || !pagination || page >= pagination.pages - 1) this.lastPageRequested = true;
+
+      return result.entities;
+    });
+  }
+
+  /**
+   * Requests the next page in advance if prefetch is activated and more entities are expected.
+   *
+   * @ignore
+   */
+  prefetchPage() {
+    if (!this.prefetch || this.pendingPage || this.lastPageRequested) return;
+    if (this.count + this.entities.length >= this.maxItems) return;
+
+    this.pendingPage = this.requestPage();
+
+    // Failure will be reported when page is consumed
+    this.pendingPage.catch(() => {});
+  }
+
+  /**
+   * Ends the iteration and cancels the pending page request if any.
+   *
+   * @ignore
+   */
+  finish() {
+    this.done = true;
+    this.entities = [];
+    this.pendingPage = null;
+    if (this.signal) this.signal.removeEventListener('abort', this.onAbort);
+    this.abortController.abort();
+  }
+
+  /**
+   * Gets the next entity.
+   *
+   * @async
+   * @ignore
+   * @return {Promise} Promise resolving with the iterator result
+   */
+  read() {
+    if (this.done) return Promise.resolve({done: true, value: undefined});
+
+    if (this.signal && this.signal.aborted) {
+      this.finish();
+      return Promise.reject(new AbortError());
+    }
+
+    if (this.count >= this.maxItems || (!this.entities.length && !this.pendingPage && this.lastPageRequested)) {
+      this.finish();
+      return Promise.resolve({done: true, value: undefined});
+    }
+
+    if (this.entities.length) {
+      this.count++;
+      return Promise.resolve({done: false, value: this.entities.shift()});
+    }
+
+    const pendingPage = this.pendingPage || this.requestPage();
+    this.pendingPage = pendingPage;
+
+    return pendingPage.then((entities) => {
+      if (this.done) return {done: true, value: undefined};
+
+      this.pendingPage = null;
+      this.entities = entities;
+      this.prefetchPage();
+      return this.read();
+    }).catch((error) => {
+      this.finish();
+      throw error;
+    });
+  }
+
+  /**
+   * Gets the next entity.
+   *
+   * Concurrent calls are resolved in order.
+   *
+   * @async
+   * @return {Promise} Promise resolving with an Object containing the entity (value property) and a done property
+   * set to true when there is no more entities
+   */
+  next() {
+    const next = this.pendingNext.then(() => this.read());
+    this.pendingNext = next.catch(() => {});
+    return next;
+  }
+
+  /**
+   * Stops the iteration.
+   *
+   * This is automatically called when breaking out of a for await...of loop.
+   *
+   * @async
+   * @param {*} [value] The value to return
+   * @return {Promise} Promise resolving with an Object containing the value and a done property set to true
+   */
+  return(value) {
+    this.finish();
+    return Promise.resolve({done: true, value});
+  }
+
+  /**
+   * Gets all remaining entities.
+   *
+   * @async
+   * @return {Promise} Promise resolving with the list of remaining entities
+   */
+  toArray() {
+    const entities = [];
+
+    const readNext = () => {
+      return this.next().then((result) => {
+        if (result.done) return entities;
+        entities.push(result.value);
+        return readNext();
+      });
+    };
+
+    return readNext();
+  }
+
+  /**
+   * Gets the iterator, the paginator itself.
+   *
+   * @return {module:openveo-rest-nodejs-client/Paginator~Paginator} The paginator
+   */
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+
+}
+
+module.exports = Paginator;
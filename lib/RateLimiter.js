@@ -0,0 +1,291 @@
+'use strict';
+
+/**
+ * @module openveo-rest-nodejs-client/RateLimiter
+ */
+
+const util = process.requireRestClient('lib/util.js');
+
+/**
+ * Gets the first defined value of a list of headers.
+ *
+ * @private
+ * @param {Object} headers The response headers with lower case names
+ * @param {Array} names The names of the headers to look for
+ * @return {(Number|Null)} The header value as a Number or null if not found
+ */
+function getNumericHeader(headers, names) {
+  for (const name of names) {
+    const value = parseFloat(headers[name]);
+    if (!Number.isNaN(value)) return value;
+  }
+  return null;
+}
+
+class RateLimiter {
+
+  /**
+   * Creates a rate limiter limiting the number of requests sent per second.
+   *
+   * Rate limiter works as a token bucket: the bucket holds up to *burst* tokens and is refilled at the rate of
+   * *requestsPerSecond* tokens per second, each request consumes a token. Requests waiting for a token stay in the
+   * client queue.
+   *
+   * Rate limiter also slows down when the server asks to: if the server responds with a 429 HTTP code, requests are
+   * paused until the delay specified by the Retry-After header (or the rate limit reset header) expires. If the
+   * server exposes rate limit headers (RateLimit-Remaining / RateLimit-Reset or X-RateLimit-Remaining /
+   * X-RateLimit-Reset), the limiter never sends more requests than the remaining quota before the reset.
+   *
+   * @example
+   * const RateLimiter = require('@openveo/rest-nodejs-client').RateLimiter;
+   * client.rateLimiter = new RateLimiter({requestsPerSecond: 5, burst: 10});
+   *
+   * @class RateLimiter
+   * @constructor
+   * @param {Object} [options] Rate limiter options
+   * @param {Number} [options.requestsPerSecond=10] The number of requests allowed per second
+   * @param {Number} [options.burst] The maximum number of requests which can be sent at once, default to
+   * requestsPerSecond (with a minimum of 1)
+   * @param {Number} [options.throttleDelay=1000] The delay to wait after a 429 HTTP code if the server didn't
+   * specify one (in ms)
+   * @param {Number} [options.maxThrottledRetries=3] Maximum number of new attempts for a request rejected with a 429
+   * HTTP code, 0 to reject the request immediately
+   * @throws {TypeError} Thrown if an option is not valid
+   */
+  constructor(options) {
+    options = Object.assign({
+      requestsPerSecond: 10,
+      throttleDelay: 1000,
+      maxThrottledRetries: 3
+    }, options);
+
+    if (options.burst === undefined) options.burst = Math.max(options.requestsPerSecond, 1);
+
+    ['requestsPerSecond', 'burst'].forEach((name) => {
+      if (typeof options[name] !== 'number' || !(options[name] > 0))
+        throw new TypeError(`Invalid rate limiter ${name} : ${options[name]}`);
+    });
+
+    ['throttleDelay', 'maxThrottledRetries'].forEach((name) => {
+      if (typeof options[name] !== 'number' || !(options[name] >= 0))
+        throw new TypeError(`Invalid rate limiter ${name} : ${options[name]}`);
+    });
+
+    Object.defineProperties(this,
+
+      /** @lends module:openveo-rest-nodejs-client/RateLimiter~RateLimiter */
+      {
+
+        /**
+         * The number of requests allowed per second.
+         *
+         * @type {Number}
+         * @default 10
+         * @readonly
+         * @instance
+         */
+        requestsPerSecond: {value: options.requestsPerSecond, enumerable: true},
+
+        /**
+         * The maximum number of requests which can be sent at once.
+         *
+         * @type {Number}
+         * @readonly
+         * @instance
+         */
+        burst: {value: options.burst, enumerable: true},
+
+        /**
+         * The delay to wait after a 429 HTTP code if the server didn't specify one (in ms).
+         *
+         * @type {Number}
+         * @default 1000
+         * @readonly
+         * @instance
+         */
+        throttleDelay: {value: options.throttleDelay, enumerable: true},
+
+        /**
+         * Maximum number of new attempts for a request rejected with a 429 HTTP code.
+         *
+         * @type {Number}
+         * @default 3
+         * @readonly
+         * @instance
+         */
+        maxThrottledRetries: {value: options.maxThrottledRetries, enumerable: true},
+
+        /**
+         * The number of available tokens, as of the last refill.
+         *
+         * @type {Number}
+         * @instance
+         * @ignore
+         */
+        tokens: {value: options.burst, writable: true},
+
+        /**
+         * The date of the last refill as a timestamp (in ms).
+         *
+         * @type {Number}
+         * @instance
+         * @ignore
+         */
+        lastRefill: {value: Date.now(), writable: true},
+
+        /**
+         * The date until which no request can be sent as a timestamp (in ms), 0 if not paused.
+         *
+         * @type {Number}
+         * @instance
+         * @ignore
+         */
+        pausedUntil: {value: 0, writable: true},
+
+        /**
+         * The remaining quota announced by the server, null if server doesn't expose rate limit headers.
+         *
+         * @type {Number}
+         * @instance
+         * @ignore
+         */
+        serverRemaining: {value: null, writable: true},
+
+        /**
+         * The date of the server quota reset as a timestamp (in ms), null if unknown.
+         *
+         * @type {Number}
+         * @instance
+         * @ignore
+         */
+        serverReset: {value: null, writable: true},
+
+        /**
+         * The number of 429 HTTP codes received.
+         *
+         * @type {Number}
+         * @instance
+         * @ignore
+         */
+        throttledResponses: {value: 0, writable: true}
+
+      }
+
+    );
+  }
+
+  /**
+   * Refills the bucket depending on the time elapsed since the last refill.
+   *
+   * @ignore
+   * @param {Number} now The current date as a timestamp (in ms)
+   */
+  refill(now) {
+    this.tokens = Math.min(this.burst, this.tokens + (now - this.lastRefill) * this.requestsPerSecond / 1000);
+    this.lastRefill = now;
+
+    // Server quota has been reset
+    if (this.serverReset !== null && now >= this.serverReset) {
+      this.serverRemaining = null;
+      this.serverReset = null;
+    }
+  }
+
+  /**
+   * Takes a token to send a request.
+   *
+   * @return {Number} 0 if a token has been taken and request can be sent, otherwise the delay to wait before a
+   * token is available (in ms)
+   */
+  take() {
+    const now = Date.now();
+    if (this.pausedUntil > now) return this.pausedUntil - now;
+
+    this.refill(now);
+
+    if (this.serverRemaining !== null && this.serverRemaining < 1)
+      return Math.max(this.serverReset - now, 1);
+
+    if (this.tokens < 1)
+      return Math.ceil((1 - this.tokens) * 1000 / this.requestsPerSecond);
+
+    this.tokens--;
+    if (this.serverRemaining !== null) this.serverRemaining--;
+    return 0;
+  }
+
+  /**
+   * Pauses the sending of requests.
+   *
+   * @param {Number} delay The delay to wait before sending new requests (in ms)
+   */
+  pause(delay) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+  }
+
+  /**
+   * Adapts the rate limiter to a web service response.
+   *
+   * @param {Number} httpCode The HTTP code of the response
+   * @param {Object} [headers] The response headers with lower case names
+   */
+  update(httpCode, headers) {
+    headers = headers || {};
+    const now = Date.now();
+    const remaining = getNumericHeader(headers, ['ratelimit-remaining', 'x-ratelimit-remaining']);
+    let reset = getNumericHeader(headers, ['ratelimit-reset', 'x-ratelimit-reset']);
+
+    // Reset is either a number of seconds or a timestamp (in seconds)
+    if (reset !== null) reset = reset > 1000000000 ? reset * 1000 : now + reset * 1000;
+
+    if (remaining !== null && reset !== null) {
+      this.serverRemaining = remaining;
+      this.serverReset = reset;
+    }
+
+    if (httpCode === 429) {
+      const retryAfter = util.parseRetryAfter(headers['retry-after']);
+      const delay = retryAfter !== null ? retryAfter : (reset !== null ? reset - now : this.throttleDelay);
+
+      this.throttledResponses++;
+      this.tokens = 0;
+      this.pause(Math.max(delay, 0));
+    }
+  }
+
+  /**
+   * Gets the state of the rate limiter.
+   *
+   * @return {module:openveo-rest-nodejs-client/RateLimiter~RateLimiter~State} The rate limiter state
+   */
+  getState() {
+    const now = Date.now();
+    this.refill(now);
+
+    return {
+      tokens: this.tokens,
+      burst: this.burst,
+      requestsPerSecond: this.requestsPerSecond,
+      paused: this.pausedUntil > now,
+      pausedUntil: this.pausedUntil > now ? this.pausedUntil : null,
+      serverRemaining: this.serverRemaining,
+      serverReset: this.serverReset,
+      throttledResponses: this.throttledResponses
+    };
+  }
+
+}
+
+/**
+ * @typedef {Object} module:openveo-rest-nodejs-client/RateLimiter~RateLimiter~State
+ * @property {Number} tokens The number of available tokens, a request can be sent if it is greater or equal to 1
+ * @property {Number} burst The maximum number of tokens
+ * @property {Number} requestsPerSecond The number of tokens added per second
+ * @property {Boolean} paused true if requests are paused following a 429 HTTP code
+ * @property {(Number|Null)} pausedUntil The date until which requests are paused as a timestamp (in ms)
+ * @property {(Number|Null)} serverRemaining The remaining quota announced by the server, null if unknown
+ * @property {(Number|Null)} serverReset The date of the server quota reset as a timestamp (in ms), null if unknown
+ * @property {Number} throttledResponses The number of 429 HTTP codes received
+ */
+
+module.exports = RateLimiter;
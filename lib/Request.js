@@ -4,9 +4,60 @@
  * @module openveo-rest-nodejs-client/Request
  */
 
+const fs = require('fs');
+const path = require('path');
 const timers = require('timers');
 const FormData = require('form-data');
 
+/**
+ * Appends a body field to a multipart form.
+ *
+ * Field value may be a String, a Buffer, a Readable stream, a file description (see
+ * {@link module:openveo-rest-nodejs-client/Request~MultipartFile}) or an Array of these to send several values
+ * with the same field name.
+ *
+ * @private
+ * @param {FormData} form The form to fill
+ * @param {String} fieldName The name of the field
+ * @param {*} value The value of the field
+ */
+function appendField(form, fieldName, value) {
+  if (Array.isArray(value))
+    return value.forEach((item) => appendField(form, fieldName, item));
+
+  if (value && typeof value === 'object' && !Buffer.isBuffer(value) && typeof value.pipe !== 'function') {
+    if (!value.path && value.value === undefined)
+      throw new TypeError(`Invalid multipart field : ${fieldName}`);
+
+    // File description with its own metadata
+    // File from path is opened at each execution so the request can be executed again
+    return form.append(
+      fieldName,
+      value.path ? fs.createReadStream(value.path) : value.value,
+      {
+        filename: value.filename || (value.path && path.basename(value.path)),
+        contentType: value.contentType,
+        knownLength: value.knownLength
+      }
+    );
+  }
+
+  form.append(fieldName, (typeof value === 'number' || typeof value === 'boolean') ? String(value) : value);
+}
+
+/**
+ * Indicates if a body field holds a stream.
+ *
+ * @private
+ * @param {*} value The value of the field
+ * @return {Boolean} true if the field, or one of its values, is a Readable stream
+ */
+function isStreamField(value) {
+  if (Array.isArray(value)) return value.some(isStreamField);
+  if (!value || typeof value !== 'object') return false;
+  return typeof value.pipe === 'function' || Boolean(value.value && typeof value.value.pipe === 'function');
+}
+
 class Request {
 
   /**
@@ -101,6 +152,15 @@ class Request {
          */
         isRunning: {value: false, writable: true},
 
+        /**
+         * The number of times the request has been sent.
+         *
+         * @type {Number}
+         * @default 0
+         * @instance
+         */
+        executions: {value: 0, writable: true},
+
         /**
          * The number of attempts made on this request.
          *
@@ -110,6 +170,34 @@ class Request {
          */
         attempts: {value: 0, writable: true},
 
+        /**
+         * The number of retries made on this request due to transient failures.
+         *
+         * @type {Number}
+         * @default 0
+         * @instance
+         */
+        retries: {value: 0, writable: true},
+
+        /**
+         * The number of new attempts made on this request after being rejected by the server rate limit (429 HTTP
+         * code).
+         *
+         * @type {Number}
+         * @default 0
+         * @instance
+         */
+        throttles: {value: 0, writable: true},
+
+        /**
+         * The last HTTP(S) response received for this request.
+         *
+         * @type {Object}
+         * @see {@link https://nodejs.org/dist/latest-v16.x/docs/api/http.html#http_class_http_incomingmessage}
+         * @instance
+         */
+        response: {writable: true},
+
         /**
          * Indicates if request body must be sent as multipart/form-data.
          *
@@ -117,7 +205,76 @@ class Request {
          * @default false
          * @instance
          */
-        multiparted: {value: multiparted, writable: true}
+        multiparted: {value: multiparted, writable: true},
+
+        /**
+         * Maximum execution time while uploading the request body (in ms), set it to Infinity to deactivate the
+         * timeout while uploading. Execution timeout applies again when the body has been uploaded.
+         *
+         * Default to executionTimeout.
+         *
+         * @type {Number}
+         * @instance
+         */
+        uploadTimeout: {value: undefined, writable: true},
+
+        /**
+         * The function to call each time a part of the request body has been sent.
+         *
+         * @type {module:openveo-rest-nodejs-client/Request~Request~uploadProgressCallback}
+         * @instance
+         */
+        onUploadProgress: {value: undefined, writable: true},
+
+        /**
+         * The expected type of the response, either "json", "buffer" or "stream".
+         *
+         * With "json" the request resolves with the parsed response body. With "buffer" and "stream" the request
+         * resolves with an Object containing the status, the headers and the body (data property) either as a Buffer
+         * or as a Readable stream. Responses with an HTTP code of 400 or more are always parsed as JSON.
+         *
+         * @type {String}
+         * @default "json"
+         * @instance
+         */
+        responseType: {value: 'json', writable: true},
+
+        /**
+         * Indicates if JSON responses should be resolved with the status, the headers and the parsed body (data
+         * property) instead of the parsed body only, with the HTTP code injected in it.
+         *
+         * Responses with an HTTP code of 400 or more are always resolved with the parsed body.
+         *
+         * @type {Boolean}
+         * @default false
+         * @instance
+         */
+        fullResponse: {value: false, writable: true},
+
+        /**
+         * The priority of the request in the client queue, requests with higher priorities are executed first.
+         *
+         * @type {Number}
+         * @default 0
+         * @instance
+         */
+        priority: {value: 0, writable: true},
+
+        /**
+         * The retry policy applied to this request, null if request shouldn't be retried.
+         *
+         * @type {module:openveo-rest-nodejs-client/RetryPolicy~RetryPolicy}
+         * @instance
+         */
+        retryPolicy: {value: null, writable: true},
+
+        /**
+         * The timer of the next attempt, null if no new attempt is scheduled.
+         *
+         * @type {Object}
+         * @instance
+         */
+        retryTimeout: {value: null, writable: true}
 
       }
 
@@ -134,32 +291,72 @@ class Request {
    * the constructor. It takes priority over Request headers.
    * @return {Promise} Promise resolving with request's response as an Object, all request's responses are
    * considered success, promise is rejected only if an error occured during the transfer or while parsing the
-   * reponse's body (expected JSON)
+   * reponse's body (expected JSON). See responseType and fullResponse properties for other forms of responses
    * @throws {TypeError} Thrown if options is not a valid object
    */
   execute(headers) {
     if (headers && typeof headers !== 'object')
       throw new TypeError('Invalid request options');
 
-    let form;
     this.isRunning = true;
+    this.executions++;
     this.options.headers = Object.assign(this.options.headers, headers || {});
 
-    if (this.multiparted) {
-
-      // Request body should be sent as multipart/form-data, use form-data module to achieve this
-      form = new FormData();
-      this.options.headers = form.getHeaders(this.options.headers);
-
-    }
-
     return this.abort().then(() => {
+      return this.multiparted && this.body ? this.buildForm() : null;
+    }).then((multipart) => {
       return new Promise((resolve, reject) => {
+        const form = multipart && multipart.form;
+        let total = 0;
+        let loaded = 0;
+        const uploadTimeout = this.uploadTimeout === undefined ? this.executionTimeout : this.uploadTimeout;
         this.isRunning = true;
+        this.response = null;
+
+        if (form) {
+
+          // Request body should be sent as multipart/form-data, headers are generated by form-data module for each
+          // execution as the boundary changes with the form
+          const formHeaders = Object.assign({}, this.options.headers);
+          Object.keys(formHeaders).forEach((name) => {
+            if (/^content-(type|length)$/i.test(name)) delete formHeaders[name];
+          });
+
+          total = multipart.length;
+          this.options.headers = form.getHeaders(formHeaders);
+          if (total !== undefined) this.options.headers['Content-Length'] = total;
+
+        } else if (this.body) {
+          total = Buffer.byteLength(this.body);
+        }
 
         // Send request to the web service
         this.request = require(this.protocol).request(this.options, (response) => {
           let body = '';
+          const chunks = [];
+          this.response = response;
+
+          if (this.responseType !== 'json' && response.statusCode < 400) {
+            if (this.responseType === 'stream') {
+
+              // Response body is consumed by the caller, execution timeout can't apply anymore
+              this.request.setTimeout(0);
+              response.on('close', () => this.isRunning = false);
+              return resolve({status: response.statusCode, headers: response.headers, data: response});
+
+            }
+
+            response.on('error', (error) => {
+              this.isRunning = false;
+              return reject(error);
+            });
+            response.on('data', (chunk) => chunks.push(chunk));
+            response.on('end', () => {
+              this.isRunning = false;
+              resolve({status: response.statusCode, headers: response.headers, data: Buffer.concat(chunks)});
+            });
+            return;
+          }
 
           response.setEncoding('utf8');
           response.on('error', (error) => {
@@ -171,11 +368,23 @@ class Request {
             this.isRunning = false;
 
             try {
+              if (this.fullResponse && response.statusCode < 400) {
+                return resolve({
+                  status: response.statusCode,
+                  headers: response.headers,
+                  data: body ? JSON.parse(body) : null
+                });
+              }
+
               const result = body ? JSON.parse(body) : {};
               result.httpCode = response.statusCode;
               resolve(result);
             } catch (error) {
+
+              // Errors of binary requests may not be expressed in JSON, keep the HTTP code
+              if (this.responseType !== 'json') return resolve({httpCode: response.statusCode});
               reject(new Error('Server error, response is not valid JSON'));
+
             }
           });
         });
@@ -185,30 +394,42 @@ class Request {
           return reject(error);
         });
 
-        if (this.executionTimeout !== Infinity) {
-          this.request.setTimeout(this.executionTimeout, () => {
-            this.abort().then(() => {
-              reject(new Error('Server unavaible'));
-            }).catch(() => {
-              reject(new Error('Request can\'t be aborted'));
-            });
+        this.request.on('timeout', () => {
+          this.abort().then(() => {
+            const error = new Error('Server unavaible');
+            error.code = 'ETIMEDOUT';
+            reject(error);
+          }).catch(() => {
+            reject(new Error('Request can\'t be aborted'));
           });
-        }
+        });
+
+        // Upload timeout applies until the whole body has been sent then execution timeout takes over
+        this.request.setTimeout(uploadTimeout === Infinity ? 0 : uploadTimeout);
+        this.request.on('finish', () => {
+          this.request.setTimeout(this.executionTimeout === Infinity ? 0 : this.executionTimeout);
+        });
+
+        const notifyProgress = (length) => {
+          loaded += length;
+          if (this.onUploadProgress) this.onUploadProgress({loaded, total});
+        };
 
         if (this.body) {
-          if (!this.multiparted) {
+          if (!form) {
 
             // Request body should be sent as is
-            this.request.write(this.body);
+            this.request.write(this.body, () => notifyProgress(total));
             return this.request.end();
 
           }
 
           // Request body should be sent as multipart/form-data
-          for (const fieldName in this.body) {
-            form.append(fieldName, this.body[fieldName]);
-          }
-
+          form.on('data', (chunk) => notifyProgress(chunk.length));
+          form.on('error', (error) => {
+            this.abort().catch(() => {});
+            reject(error);
+          });
           form.pipe(this.request);
         } else
           this.request.end();
@@ -218,6 +439,43 @@ class Request {
     });
   }
 
+  /**
+   * Builds the multipart form holding the request body.
+   *
+   * @async
+   * @ignore
+   * @return {Promise} Promise resolving with an Object containing the form (form property) and its total length
+   * (length property), length is undefined if it can't be computed (when using streams without known length)
+   * @throws {TypeError} Thrown if a field is not valid
+   */
+  buildForm() {
+    const form = new FormData();
+
+    for (const fieldName in this.body)
+      appendField(form, fieldName, this.body[fieldName]);
+
+    return new Promise((resolve) => {
+
+      // Length can't be computed for streams without known length, form will then be sent without Content-Length
+      form.getLength((error, length) => {
+        resolve({form, length: error ? undefined : length});
+      });
+
+    });
+  }
+
+  /**
+   * Indicates if the request can be executed again with the same body.
+   *
+   * A multipart body holding streams can't be sent twice.
+   *
+   * @return {Boolean} true if the request can be executed again, false otherwise
+   */
+  isReplayable() {
+    if (!this.multiparted || !this.body) return true;
+    return !Object.keys(this.body).some((fieldName) => isStreamField(this.body[fieldName]));
+  }
+
   /**
    * Aborts the request.
    *
@@ -246,4 +504,36 @@ class Request {
 
 }
 
+/**
+ * @callback module:openveo-rest-nodejs-client/Request~Request~uploadProgressCallback
+ * @param {Object} progress Upload progress
+ * @param {Number} progress.loaded The number of bytes sent
+ * @param {(Number|undefined)} progress.total The total number of bytes to send, undefined if unknown
+ */
+
+/**
+ * Describes a file to send in a multipart/form-data request body.
+ *
+ * @example
+ * client.request('post', 'publish/videos', {
+ *   multipart: true,
+ *   body: {
+ *     info: JSON.stringify({title: 'My video'}),
+ *     file: {path: '/absolute/path/to/video.mp4', contentType: 'video/mp4'},
+ *     thumbnail: {value: thumbnailBuffer, filename: 'thumbnail.jpg', contentType: 'image/jpeg'}
+ *   },
+ *   uploadTimeout: Infinity,
+ *   onUploadProgress: (progress) => console.log(`${progress.loaded} / ${progress.total}`)
+ * });
+ *
+ * @typedef {Object} module:openveo-rest-nodejs-client/Request~MultipartFile
+ * @property {String} [path] The path of the file to send, file is opened when the request is executed
+ * @property {(String|Buffer|ReadableStream)} [value] The content of the file if path is not specified, a stream
+ * can't be sent twice thus requests with streams aren't retried
+ * @property {String} [filename] The file name, default to the base name of path
+ * @property {String} [contentType] The file MIME type, default to a MIME type deduced from file name
+ * @property {Number} [knownLength] The length of the file in bytes, required to compute the total length of the
+ * request when value is a stream
+ */
+
 module.exports = Request;
@@ -0,0 +1,487 @@
+'use strict';
+
+/**
+ * @module openveo-rest-nodejs-client/ResumableUpload
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const errors = process.requireRestClient('lib/errors/index.js');
+const AbortError = errors.AbortError;
+
+/**
+ * Computes the checksum of a file.
+ *
+ * @private
+ * @param {String} filePath The path of the file
+ * @param {String} algorithm The hash algorithm
+ * @return {Promise} Promise resolving with the checksum as an hexadecimal String
+ */
+function computeFileChecksum(filePath, algorithm) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash(algorithm);
+    const fileStream = fs.createReadStream(filePath);
+
+    fileStream.on('error', reject);
+    fileStream.on('data', (chunk) => hash.update(chunk));
+    fileStream.on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Reads a chunk of a file.
+ *
+ * Reads are repeated until the chunk is full, as a read may return less bytes than requested.
+ *
+ * @private
+ * @param {fs.promises.FileHandle} fileHandle The opened file
+ * @param {Number} position The position of the chunk in the file (in bytes)
+ * @param {Number} length The size of the chunk (in bytes)
+ * @return {Promise} Promise resolving with the chunk as a Buffer, promise is rejected if the file ends before the
+ * end of the chunk
+ */
+function readChunk(fileHandle, position, length) {
+  const chunk = Buffer.alloc(length);
+
+  const readNext = (bytesFilled) => {
+    if (bytesFilled >= length) return Promise.resolve(chunk);
+
+    return fileHandle.read(chunk, bytesFilled, length - bytesFilled, position + bytesFilled).then((result) => {
+      if (!result.bytesRead)
+        throw new Error(`File ended at ${position + bytesFilled} bytes instead of ${position + length} bytes`);
+
+      return readNext(bytesFilled + result.bytesRead);
+    });
+  };
+
+  return readNext(0);
+}
+
+/**
+ * Indicates if an upload can be resumed after a failed chunk.
+ *
+ * Network failures, timeouts, server errors and offset conflicts (409 HTTP code) are considered temporary.
+ *
+ * @private
+ * @param {Error} error The error of the chunk request
+ * @return {Boolean} true if the upload can be resumed, false otherwise
+ */
+function isResumable(error) {
+  return error instanceof errors.NetworkError || error instanceof errors.ServerError || error.httpCode === 409;
+}
+
+class ResumableUpload {
+
+  /**
+   * Creates a resumable upload sending a file in chunks.
+   *
+   * Resumable uploads require server support: the web service must implement the following protocol on the uploads
+   * end point. OpenVeo web service doesn't implement it thus videos can't be uploaded to OpenVeo this way, use
+   * {@link module:openveo-rest-nodejs-client/api/PublishApi~PublishApi#addVideo} to upload a video to OpenVeo
+   * (in a single request to publish/videos).
+   *
+   * 1. Create an upload: POST *endPoint* with a JSON body holding the name (name), the size (size, in bytes) and the
+   *    checksum (checksum and algorithm) of the file, the size of chunks (chunkSize) and the information about the
+   *    file (info). The web service responds with the upload as an entity (entity property) with its id (id) and the
+   *    acknowledged offset (offset, in bytes, usually 0)
+   * 2. Get an upload: GET *endPoint*\/*id*. The web service responds with the upload as an entity with the
+   *    acknowledged offset. This is used to resume a previous upload (uploadId option) or to resume after a failed
+   *    chunk
+   * 3. Send a chunk: PUT *endPoint*\/*id* with a multipart body holding the offset of the chunk (offset), its
+   *    checksum (checksum) and the chunk itself as a file (chunk). The web service verifies the checksum of the
+   *    chunk and responds with the upload as an entity with the new acknowledged offset. It responds with a 409
+   *    HTTP code if the offset is not the acknowledged offset
+   * 4. Complete the upload: POST *endPoint*\/*id*\/complete with a JSON body holding the checksum of the file
+   *    (checksum and algorithm). The web service verifies the checksum of the file and responds with the uploaded
+   *    entity (entity property), eventually with the checksum it computed (checksum)
+   *
+   * Chunks are sent one after the other from the acknowledged offset. Chunk requests are retried by the retry policy
+   * of the client. If a chunk still fails due to a temporary failure (network error, server error or 409 HTTP code),
+   * the acknowledged offset is requested again and the upload resumes from it.
+   *
+   * @example
+   * const ResumableUpload = require('@openveo/rest-nodejs-client').ResumableUpload;
+   * const upload = new ResumableUpload(client, 'uploads', '/path/to/file.bin', {
+   *   onProgress: (progress) => console.log(`${progress.loaded} / ${progress.total}`)
+   * });
+   * const entity = await upload.start();
+   *
+   * @class ResumableUpload
+   * @constructor
+   * @param {module:openveo-rest-nodejs-client/RestClient~RestClient} client The client used to send requests
+   * @param {String} endPoint The web service end point managing uploads, implementing the protocol described above
+   * @param {String} filePath The path of the file to upload
+   * @param {Object} [options] Upload options
+   * @param {Object} [options.info] Information about the file sent when creating the upload
+   * @param {String} [options.uploadId] The id of a previous upload to resume
+   * @param {Number} [options.chunkSize=5242880] The size of chunks (in bytes)
+   * @param {String} [options.algorithm="sha256"] The hash algorithm used to compute checksums
+   * @param {Number} [options.timeout=60000] Maximum execution time of each request (in ms)
+   * @param {Number} [options.maxResumes=3] Maximum number of consecutive times the upload resumes after a failed
+   * chunk, without any chunk being acknowledged in between
+   * @param {module:openveo-rest-nodejs-client/ResumableUpload~ResumableUpload~progressCallback} [options.onProgress]
+   * The function to call each time a chunk has been acknowledged
+   * @param {AbortSignal} [options.signal] A signal to abort the upload, promise is then rejected with an AbortError
+   * @throws {TypeError} Thrown if client, endPoint, filePath or an option is not valid
+   */
+  constructor(client, endPoint, filePath, options) {
+    options = Object.assign({
+      chunkSize: 5 * 1024 * 1024,
+      algorithm: 'sha256',
+      timeout: 60000,
+      maxResumes: 3
+    }, options);
+
+    if (!client || typeof client.request !== 'function')
+      throw new TypeError(`Invalid client : ${client}`);
+
+    if (!endPoint || typeof endPoint !== 'string')
+      throw new TypeError(`Invalid end point : ${endPoint}`);
+
+    if (!filePath || typeof filePath !== 'string')
+      throw new TypeError(`Invalid file path : ${filePath}`);
+
+    if (!Number.isInteger(options.chunkSize) || options.chunkSize <= 0)
+      throw new TypeError(`Invalid chunk size : ${options.chunkSize}`);
+
+    if (!crypto.getHashes().includes(options.algorithm))
+      throw new TypeError(`Invalid algorithm : ${options.algorithm}`);
+
+    if (!(options.timeout > 0))
+      throw new TypeError(`Invalid timeout : ${options.timeout}`);
+
+    if (!(options.maxResumes >= 0))
+      throw new TypeError(`Invalid maxResumes : ${options.maxResumes}`);
+
+    if (options.onProgress && typeof options.onProgress !== 'function')
+      throw new TypeError(`Invalid onProgress : ${options.onProgress}`);
+
+    Object.defineProperties(this,
+
+      /** @lends module:openveo-rest-nodejs-client/ResumableUpload~ResumableUpload */
+      {
+
+        /**
+         * The client used to send requests.
+         *
+         * @type {module:openveo-rest-nodejs-client/RestClient~RestClient}
+         * @readonly
+         * @instance
+         */
+        client: {value: client},
+
+        /**
+         * The absolute path of the file to upload.
+         *
+         * @type {String}
+         * @readonly
+         * @instance
+         */
+        filePath: {value: path.resolve(filePath), enumerable: true},
+
+        /**
+         * The web service end point managing uploads.
+         *
+         * @type {String}
+         * @readonly
+         * @instance
+         */
+        endPoint: {value: endPoint.replace(/\/+$/, ''), enumerable: true},
+
+        /**
+         * Information about the file sent when creating the upload.
+         *
+         * @type {Object}
+         * @readonly
+         * @instance
+         */
+        info: {value: options.info},
+
+        /**
+         * The size of chunks (in bytes).
+         *
+         * @type {Number}
+         * @default 5242880
+         * @readonly
+         * @instance
+         */
+        chunkSize: {value: options.chunkSize, enumerable: true},
+
+        /**
+         * The hash algorithm used to compute checksums.
+         *
+         * @type {String}
+         * @default "sha256"
+         * @readonly
+         * @instance
+         */
+        algorithm: {value: options.algorithm, enumerable: true},
+
+        /**
+         * Maximum execution time of each request (in ms).
+         *
+         * @type {Number}
+         * @default 60000
+         * @readonly
+         * @instance
+         */
+        timeout: {value: options.timeout, enumerable: true},
+
+        /**
+         * Maximum number of consecutive times the upload resumes after a failed chunk, without any chunk being
+         * acknowledged in between.
+         *
+         * @type {Number}
+         * @default 3
+         * @readonly
+         * @instance
+         */
+        maxResumes: {value: options.maxResumes, enumerable: true},
+
+        /**
+         * The function to call each time a chunk has been acknowledged.
+         *
+         * @type {Function}
+         * @readonly
+         * @instance
+         */
+        onProgress: {value: options.onProgress},
+
+        /**
+         * The signal to abort the upload.
+         *
+         * @type {AbortSignal}
+         * @readonly
+         * @instance
+         */
+        signal: {value: options.signal},
+
+        /**
+         * The upload id, null until the upload has been created.
+         *
+         * It can be used to resume the upload later (see uploadId option).
+         *
+         * @type {String}
+         * @instance
+         */
+        id: {value: options.uploadId || null, writable: true, enumerable: true},
+
+        /**
+         * The number of bytes acknowledged by the web service.
+         *
+         * @type {Number}
+         * @instance
+         */
+        offset: {value: 0, writable: true, enumerable: true},
+
+        /**
+         * The size of the file (in bytes), null until the upload has started.
+         *
+         * @type {Number}
+         * @instance
+         */
+        size: {value: null, writable: true, enumerable: true},
+
+        /**
+         * The checksum of the file as an hexadecimal String, null until the upload has started.
+         *
+         * @type {String}
+         * @instance
+         */
+        checksum: {value: null, writable: true, enumerable: true},
+
+        /**
+         * The number of consecutive times the upload has resumed after a failed chunk, reset each time a chunk is
+         * acknowledged.
+         *
+         * @type {Number}
+         * @instance
+         */
+        resumes: {value: 0, writable: true, enumerable: true},
+
+        /**
+         * The upload in progress, null if not started.
+         *
+         * @type {Promise}
+         * @instance
+         * @ignore
+         */
+        pendingUpload: {value: null, writable: true}
+
+      }
+
+    );
+  }
+
+  /**
+   * Sends a request to the uploads end point.
+   *
+   * @async
+   * @ignore
+   * @param {String} method The HTTP method
+   * @param {String} [subPath] The path to add to the uploads end point
+   * @param {Object} [descriptor] The request descriptor
+   * @return {Promise} Promise resolving with the entity of the response
+   */
+  request(method, subPath, descriptor) {
+    const endPoint = subPath ? `${this.endPoint}/${subPath}` : this.endPoint;
+    descriptor = Object.assign({timeout: this.timeout, signal: this.signal, responseType: 'json'}, descriptor, {
+      fullResponse: false
+    });
+
+    return this.client.request(method, endPoint, descriptor).then((result) => {
+      if (!result.entity || typeof result.entity !== 'object')
+        throw new TypeError(`End point ${endPoint} didn't respond with an entity`);
+
+      return result.entity;
+    });
+  }
+
+  /**
+   * Updates the acknowledged offset from an upload entity and reports progress.
+   *
+   * @ignore
+   * @param {Object} upload The upload entity returned by the web service
+   * @throws {TypeError} Thrown if the offset is not valid
+   */
+  acknowledge(upload) {
+    const offset = Number(upload.offset);
+    if (!Number.isInteger(offset) || offset < 0 || offset > this.size)
+      throw new TypeError(`Invalid acknowledged offset : ${upload.offset}`);
+
+    this.offset = offset;
+    if (this.onProgress) this.onProgress({id: this.id, loaded: this.offset, total: this.size});
+  }
+
+  /**
+   * Creates the upload or, if an upload id is specified, gets the acknowledged offset of the upload.
+   *
+   * @async
+   * @ignore
+   * @return {Promise} Promise resolving when the acknowledged offset is known
+   */
+  open() {
+    if (this.id) return this.request('get', encodeURIComponent(this.id)).then((upload) => this.acknowledge(upload));
+
+    return this.request('post', null, {
+      body: {
+        name: path.basename(this.filePath),
+        size: this.size,
+        chunkSize: this.chunkSize,
+        checksum: this.checksum,
+        algorithm: this.algorithm,
+        info: this.info
+      }
+    }).then((upload) => {
+      if (!upload.id) throw new TypeError(`End point ${this.endPoint} didn't respond with an upload id`);
+
+      this.id = String(upload.id);
+      this.acknowledge(upload);
+    });
+  }
+
+  /**
+   * Sends the chunks from the acknowledged offset until the whole file is acknowledged.
+   *
+   * @async
+   * @ignore
+   * @param {fs.promises.FileHandle} fileHandle The opened file
+   * @return {Promise} Promise resolving when the whole file has been acknowledged
+   */
+  sendChunks(fileHandle) {
+    if (this.offset >= this.size) return Promise.resolve();
+    if (this.signal && this.signal.aborted) return Promise.reject(new AbortError());
+
+    const offset = this.offset;
+
+    return readChunk(fileHandle, offset, Math.min(this.chunkSize, this.size - offset)).then((chunk) => {
+      return this.request('put', encodeURIComponent(this.id), {
+        multipart: true,
+        body: {
+          offset: String(offset),
+          checksum: crypto.createHash(this.algorithm).update(chunk).digest('hex'),
+          chunk: {value: chunk, filename: path.basename(this.filePath), contentType: 'application/octet-stream'}
+        }
+      });
+    }).then((upload) => {
+      const previousOffset = this.offset;
+      this.acknowledge(upload);
+
+      if (this.offset <= previousOffset && this.offset < this.size)
+        throw new Error(`Chunk at offset ${offset} hasn't been acknowledged`);
+
+      // Upload progressed, the next failure starts a new streak of resumes
+      this.resumes = 0;
+
+    }).catch((error) => {
+      if (!isResumable(error) || this.resumes >= this.maxResumes) throw error;
+
+      // Resume from the offset acknowledged by the web service
+      this.resumes++;
+      return this.request('get', encodeURIComponent(this.id)).then((upload) => this.acknowledge(upload));
+
+    }).then(() => this.sendChunks(fileHandle));
+  }
+
+  /**
+   * Completes the upload once all chunks have been acknowledged.
+   *
+   * @async
+   * @ignore
+   * @return {Promise} Promise resolving with the uploaded entity
+   */
+  complete() {
+    return this.request('post', `${encodeURIComponent(this.id)}/complete`, {
+      body: {checksum: this.checksum, algorithm: this.algorithm}
+    }).then((entity) => {
+      if (entity.checksum && entity.checksum !== this.checksum)
+        throw new Error(`Checksum mismatch, expected ${this.checksum} but web service computed ${entity.checksum}`);
+
+      return entity;
+    });
+  }
+
+  /**
+   * Starts or resumes the upload.
+   *
+   * Calling start while the upload is in progress returns the upload in progress. Calling start after a failure
+   * resumes the upload from the acknowledged offset.
+   *
+   * @async
+   * @return {Promise} Promise resolving with the uploaded entity returned by the web service
+   */
+  start() {
+    if (this.pendingUpload) return this.pendingUpload;
+
+    let fileHandle = null;
+    this.resumes = 0;
+
+    this.pendingUpload = fs.promises.stat(this.filePath).then((stats) => {
+      this.size = stats.size;
+      return this.checksum || computeFileChecksum(this.filePath, this.algorithm);
+    }).then((checksum) => {
+      this.checksum = checksum;
+      return this.open();
+    }).then(() => fs.promises.open(this.filePath, 'r')).then((openedFileHandle) => {
+      fileHandle = openedFileHandle;
+      return this.sendChunks(fileHandle);
+    }).then(() => this.complete()).finally(() => {
+      this.pendingUpload = null;
+      if (fileHandle) return fileHandle.close();
+    });
+
+    return this.pendingUpload;
+  }
+
+}
+
+/**
+ * @callback module:openveo-rest-nodejs-client/ResumableUpload~ResumableUpload~progressCallback
+ * @param {Object} progress Upload progress
+ * @param {String} progress.id The upload id
+ * @param {Number} progress.loaded The number of bytes acknowledged by the web service
+ * @param {Number} progress.total The size of the file (in bytes)
+ */
+
+module.exports = ResumableUpload;
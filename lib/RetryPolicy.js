@@ -0,0 +1,230 @@
+'use strict';
+
+/**
+ * @module openveo-rest-nodejs-client/RetryPolicy
+ */
+
+const util = process.requireRestClient('lib/util.js');
+
+class RetryPolicy {
+
+  /**
+   * Creates a retry policy describing which failed requests should be retried and when.
+   *
+   * A request is retried if its method is part of the retryable methods, if the maximum number of retries hasn't
+   * been reached and if the error (transfer error or HTTP error code) is considered retryable. Delay between two
+   * attempts grows exponentially, with jitter, unless the server specified a Retry-After header. Requests with a
+   * multipart body holding streams are never retried as a stream can't be sent twice.
+   *
+   * @example
+   * const RetryPolicy = require('@openveo/rest-nodejs-client').RetryPolicy;
+   * client.retryPolicy = new RetryPolicy({
+   *   maxRetries: 5,
+   *   minDelay: 1000,
+   *   httpCodes: [429, 502, 503, 504]
+   * });
+   *
+   * @class RetryPolicy
+   * @constructor
+   * @param {Object} [options] Retry policy options
+   * @param {Number} [options.maxRetries=3] Maximum number of retries for a request, 0 to deactivate retries
+   * @param {Number} [options.minDelay=500] Delay before the first retry (in ms)
+   * @param {Number} [options.maxDelay=30000] Maximum delay between two attempts (in ms)
+   * @param {Number} [options.factor=2] The exponential factor applied to the delay at each retry
+   * @param {Boolean} [options.jitter=true] true to randomize delays between 0 and the computed delay
+   * @param {Array} [options.methods] The list of HTTP methods which can be retried, default to idempotent methods
+   * (GET, HEAD, OPTIONS, PUT and DELETE)
+   * @param {Array} [options.httpCodes] The list of HTTP codes which can be retried (default to 502, 503 and 504)
+   * @param {Array} [options.errorCodes] The list of transfer error codes which can be retried (default to
+   * ECONNRESET, ECONNREFUSED, ECONNABORTED, EPIPE, ETIMEDOUT, EHOSTUNREACH, ENETUNREACH and EAI_AGAIN)
+   * @param {module:openveo-rest-nodejs-client/RetryPolicy~RetryPolicy~isRetryableCallback} [options.isRetryable]
+   * A function to decide if an error is retryable, replacing the verifications made on httpCodes and errorCodes
+   * @throws {TypeError} Thrown if an option is not valid
+   */
+  constructor(options) {
+    options = Object.assign({
+      maxRetries: 3,
+      minDelay: 500,
+      maxDelay: 30000,
+      factor: 2,
+      jitter: true,
+      methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+      httpCodes: [502, 503, 504],
+      errorCodes: [
+        'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'EPIPE', 'ETIMEDOUT', 'EHOSTUNREACH', 'ENETUNREACH', 'EAI_AGAIN'
+      ]
+    }, options);
+
+    ['maxRetries', 'minDelay', 'maxDelay', 'factor'].forEach((name) => {
+      if (typeof options[name] !== 'number' || options[name] < 0)
+        throw new TypeError(`Invalid retry policy ${name} : ${options[name]}`);
+    });
+
+    ['methods', 'httpCodes', 'errorCodes'].forEach((name) => {
+      if (!Array.isArray(options[name]))
+        throw new TypeError(`Invalid retry policy ${name} : ${options[name]}`);
+    });
+
+    if (options.isRetryable && typeof options.isRetryable !== 'function')
+      throw new TypeError(`Invalid retry policy isRetryable : ${options.isRetryable}`);
+
+    Object.defineProperties(this,
+
+      /** @lends module:openveo-rest-nodejs-client/RetryPolicy~RetryPolicy */
+      {
+
+        /**
+         * Maximum number of retries for a request.
+         *
+         * @type {Number}
+         * @default 3
+         * @readonly
+         * @instance
+         */
+        maxRetries: {value: options.maxRetries, enumerable: true},
+
+        /**
+         * Delay before the first retry (in ms).
+         *
+         * @type {Number}
+         * @default 500
+         * @readonly
+         * @instance
+         */
+        minDelay: {value: options.minDelay, enumerable: true},
+
+        /**
+         * Maximum delay between two attempts (in ms), this also applies to delays specified by the server.
+         *
+         * @type {Number}
+         * @default 30000
+         * @readonly
+         * @instance
+         */
+        maxDelay: {value: options.maxDelay, enumerable: true},
+
+        /**
+         * The exponential factor applied to the delay at each retry.
+         *
+         * @type {Number}
+         * @default 2
+         * @readonly
+         * @instance
+         */
+        factor: {value: options.factor, enumerable: true},
+
+        /**
+         * Indicates if delays are randomized between 0 and the computed delay.
+         *
+         * @type {Boolean}
+         * @default true
+         * @readonly
+         * @instance
+         */
+        jitter: {value: Boolean(options.jitter), enumerable: true},
+
+        /**
+         * The list of HTTP methods (upper case) which can be retried.
+         *
+         * @type {Array}
+         * @readonly
+         * @instance
+         */
+        methods: {value: options.methods.map((method) => method.toUpperCase()), enumerable: true},
+
+        /**
+         * The list of HTTP codes which can be retried.
+         *
+         * @type {Array}
+         * @readonly
+         * @instance
+         */
+        httpCodes: {value: options.httpCodes, enumerable: true},
+
+        /**
+         * The list of transfer error codes which can be retried.
+         *
+         * @type {Array}
+         * @readonly
+         * @instance
+         */
+        errorCodes: {value: options.errorCodes, enumerable: true},
+
+        /**
+         * The function deciding if an error is retryable, if not set httpCodes and errorCodes are used.
+         *
+         * @type {module:openveo-rest-nodejs-client/RetryPolicy~RetryPolicy~isRetryableCallback}
+         * @readonly
+         * @instance
+         */
+        isRetryable: {value: options.isRetryable, enumerable: true}
+
+      }
+
+    );
+  }
+
+  /**
+   * Creates a new retry policy based on this one with some options overriden.
+   *
+   * @param {Object} [options] The options to override, see constructor for the list of options
+   * @return {module:openveo-rest-nodejs-client/RetryPolicy~RetryPolicy} The new retry policy
+   */
+  extend(options) {
+    return new RetryPolicy(Object.assign({}, this, options));
+  }
+
+  /**
+   * Indicates if a failed request should be retried.
+   *
+   * @param {Object} context Information about the failed attempt
+   * @param {String} context.method The HTTP method of the request
+   * @param {Number} context.retries The number of retries already made for the request
+   * @param {Error} [context.error] The transfer error if request failed before receiving a response
+   * @param {Number} [context.httpCode] The HTTP code of the response if any
+   * @param {Object} [context.result] The response body if any
+   * @return {Boolean} true if request should be retried, false otherwise
+   */
+  shouldRetry(context) {
+    if (context.retries >= this.maxRetries || !this.methods.includes(context.method.toUpperCase()))
+      return false;
+
+    if (this.isRetryable)
+      return Boolean(this.isRetryable(context));
+
+    if (context.error)
+      return this.errorCodes.includes(context.error.code);
+
+    return this.httpCodes.includes(context.httpCode);
+  }
+
+  /**
+   * Gets the delay to wait before the next attempt.
+   *
+   * @param {Number} retries The number of retries already made for the request
+   * @param {String} [retryAfter] The value of the Retry-After header returned by the server, either a number of
+   * seconds or an HTTP date
+   * @return {Number} The delay to wait (in ms)
+   */
+  getDelay(retries, retryAfter) {
+    const serverDelay = util.parseRetryAfter(retryAfter);
+    if (serverDelay !== null) return Math.min(serverDelay, this.maxDelay);
+
+    const delay = Math.min(this.minDelay * Math.pow(this.factor, retries), this.maxDelay);
+    return this.jitter ? Math.round(Math.random() * delay) : delay;
+  }
+
+}
+
+/**
+ * @callback module:openveo-rest-nodejs-client/RetryPolicy~RetryPolicy~isRetryableCallback
+ * @param {Object} context Information about the failed attempt
+ * @param {String} context.method The HTTP method of the request
+ * @param {Number} context.retries The number of retries already made for the request
+ * @param {Error} [context.error] The transfer error if request failed before receiving a response
+ * @param {Number} [context.httpCode] The HTTP code of the response if any
+ * @param {Object} [context.result] The response body if any
+ * @return {Boolean} true if the error is retryable, false otherwise
+ */
+
+module.exports = RetryPolicy;
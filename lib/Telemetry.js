@@ -0,0 +1,349 @@
+'use strict';
+
+/**
+ * @module openveo-rest-nodejs-client/Telemetry
+ * @ignore
+ */
+
+const util = process.requireRestClient('lib/util.js');
+const packageDescription = process.requireRestClient('package.json');
+
+/**
+ * The name of the OpenTelemetry API package, an optional peer dependency.
+ *
+ * @private
+ * @const
+ * @type {String}
+ */
+const OPENTELEMETRY_API = '@opentelemetry/api';
+
+/**
+ * The OpenTelemetry API, null if not installed, undefined if not loaded yet.
+ *
+ * @private
+ * @type {Object}
+ */
+let openTelemetryApi;
+
+/**
+ * Loads the OpenTelemetry API.
+ *
+ * @private
+ * @return {(Object|Null)} The OpenTelemetry API, null if not installed
+ */
+function loadOpenTelemetryApi() {
+  if (openTelemetryApi !== undefined) return openTelemetryApi;
+
+  try {
+    openTelemetryApi = require(OPENTELEMETRY_API);
+  } catch (error) {
+    openTelemetryApi = null;
+  }
+
+  return openTelemetryApi;
+}
+
+/**
+ * Gets the attributes describing the outcome of an operation.
+ *
+ * @private
+ * @param {Number} [httpCode] The HTTP code of the response if any
+ * @param {Error} [error] The error if operation failed
+ * @return {Object} The attributes, with the HTTP code and the error type (the HTTP code or the transfer error code)
+ */
+function getOutcomeAttributes(httpCode, error) {
+  const attributes = {};
+  if (httpCode) attributes['http.response.status_code'] = httpCode;
+  if (error) attributes['error.type'] = httpCode ? String(httpCode) : (error.code || error.name);
+  return attributes;
+}
+
+/**
+ * A function ending a measured operation, doing nothing.
+ *
+ * @private
+ */
+function noop() {}
+
+class Telemetry {
+
+  /**
+   * Creates OpenTelemetry hooks to trace requests and authentications and to measure them.
+   *
+   * Requests and authentications get client spans with HTTP semantic attributes, the trace context of requests is
+   * propagated to the web service using the W3C traceparent header. Requests are measured with an histogram of
+   * durations and a counter, both by method and HTTP code. Authentications are measured the same way, by outcome.
+   *
+   * Spans and metrics go through the OpenTelemetry API (@opentelemetry/api package), which is an optional peer
+   * dependency. Without it, hooks do nothing. Without a registered OpenTelemetry SDK, the API itself does nothing.
+   *
+   * @class Telemetry
+   * @ignore
+   * @constructor
+   * @param {Object} server The web service
+   * @param {String} server.protocol The web service protocol, either "http" or "https"
+   * @param {String} server.hostname The web service host name
+   * @param {Number} server.port The web service port
+   * @param {Object} [options] Telemetry options
+   * @param {Object} [options.tracerProvider] The OpenTelemetry tracer provider, default to the global one
+   * @param {Object} [options.meterProvider] The OpenTelemetry meter provider, default to the global one
+   */
+  constructor(server, options) {
+    options = options || {};
+    const api = loadOpenTelemetryApi();
+    const tracerProvider = api && (options.tracerProvider || api.trace);
+    const meterProvider = api && api.metrics && (options.meterProvider || api.metrics);
+    const meter = meterProvider ? meterProvider.getMeter(packageDescription.name, packageDescription.version) : null;
+
+    Object.defineProperties(this,
+
+      /** @lends module:openveo-rest-nodejs-client/Telemetry~Telemetry */
+      {
+
+        /**
+         * The OpenTelemetry API, null if not installed.
+         *
+         * @type {Object}
+         * @readonly
+         * @instance
+         */
+        api: {value: api},
+
+        /**
+         * The attributes describing the web service, common to all spans and measures.
+         *
+         * @type {Object}
+         * @readonly
+         * @instance
+         */
+        serverAttributes: {
+          value: {
+            'server.address': server.hostname,
+            'server.port': Number(server.port)
+          }
+        },
+
+        /**
+         * The protocol of the web service.
+         *
+         * @type {String}
+         * @readonly
+         * @instance
+         */
+        protocol: {value: server.protocol},
+
+        /**
+         * The origin of the web service URL (protocol, host name and port).
+         *
+         * @type {String}
+         * @readonly
+         * @instance
+         */
+        origin: {value: `${server.protocol}://${server.hostname}:${server.port}`},
+
+        /**
+         * The tracer creating spans, null if OpenTelemetry API is not installed.
+         *
+         * @type {Object}
+         * @readonly
+         * @instance
+         */
+        tracer: {
+          value: tracerProvider ? tracerProvider.getTracer(packageDescription.name, packageDescription.version) : null
+        },
+
+        /**
+         * The histogram of requests durations (in s).
+         *
+         * @type {Object}
+         * @readonly
+         * @instance
+         */
+        requestDuration: {
+          value: meter && meter.createHistogram('http.client.request.duration', {
+            description: 'Duration of requests sent to the OpenVeo web service',
+            unit: 's'
+          })
+        },
+
+        /**
+         * The counter of requests.
+         *
+         * @type {Object}
+         * @readonly
+         * @instance
+         */
+        requestCounter: {
+          value: meter && meter.createCounter('openveo.client.requests', {
+            description: 'Number of requests sent to the OpenVeo web service',
+            unit: '{request}'
+          })
+        },
+
+        /**
+         * The histogram of authentications durations (in s).
+         *
+         * @type {Object}
+         * @readonly
+         * @instance
+         */
+        authenticationDuration: {
+          value: meter && meter.createHistogram('openveo.client.authentication.duration', {
+            description: 'Duration of authentications to the OpenVeo web service',
+            unit: 's'
+          })
+        },
+
+        /**
+         * The counter of authentications.
+         *
+         * @type {Object}
+         * @readonly
+         * @instance
+         */
+        authenticationCounter: {
+          value: meter && meter.createCounter('openveo.client.authentications', {
+            description: 'Number of authentications to the OpenVeo web service',
+            unit: '{authentication}'
+          })
+        }
+
+      }
+
+    );
+  }
+
+  /**
+   * Starts a span.
+   *
+   * @param {String} name The name of the span
+   * @param {Object} attributes The span attributes
+   * @return {(Object|Null)} The span, null if OpenTelemetry API is not installed
+   */
+  startSpan(name, attributes) {
+    if (!this.tracer) return null;
+
+    return this.tracer.startSpan(name, {
+      kind: this.api.SpanKind.CLIENT,
+      attributes: Object.assign({}, this.serverAttributes, attributes)
+    });
+  }
+
+  /**
+   * Ends a span, marking it as failed if an error occurred.
+   *
+   * @param {Object} [span] The span
+   * @param {Object} attributes The attributes to add to the span
+   * @param {Error} [error] The error if operation failed
+   */
+  endSpan(span, attributes, error) {
+    if (!span) return;
+
+    span.setAttributes(attributes);
+
+    if (error) {
+      span.recordException(error);
+      span.setStatus({code: this.api.SpanStatusCode.ERROR, message: error.message});
+    }
+
+    span.end();
+  }
+
+  /**
+   * Adds the trace context of a span to request headers.
+   *
+   * The trace context is propagated using the registered propagator or, if none injected it, using the W3C
+   * traceparent header. Headers already set are kept.
+   *
+   * @param {Object} [span] The span
+   * @param {Object} headers The request headers to modify
+   */
+  injectTraceContext(span, headers) {
+    if (!span) return;
+
+    const names = Object.keys(headers).map((name) => name.toLowerCase());
+    if (names.includes('traceparent')) return;
+
+    const carrier = {};
+    this.api.propagation.inject(this.api.trace.setSpan(this.api.context.active(), span), carrier);
+
+    if (!carrier.traceparent) {
+      const spanContext = span.spanContext();
+      if (!this.api.isSpanContextValid(spanContext)) return;
+
+      const flags = `0${(spanContext.traceFlags & 0xff).toString(16)}`.slice(-2);
+      carrier.traceparent = `00-${spanContext.traceId}-${spanContext.spanId}-${flags}`;
+    }
+
+    Object.keys(carrier).forEach((name) => {
+      if (!names.includes(name.toLowerCase())) headers[name] = carrier[name];
+    });
+  }
+
+  /**
+   * Starts tracing and measuring a request.
+   *
+   * @param {String} method The HTTP method of the request in upper case
+   * @param {String} path The path of the request with the query string
+   * @param {Object} headers The request headers, trace context headers are added to it
+   * @return {module:openveo-rest-nodejs-client/Telemetry~Telemetry~endCallback} The function to call when the
+   * request is over, with the HTTP code of the response and the error if request failed
+   */
+  startRequest(method, path, headers) {
+    if (!this.api) return noop;
+
+    const startTime = Date.now();
+    const span = this.startSpan(method, {
+      'http.request.method': method,
+      'url.scheme': this.protocol,
+      'url.full': `${this.origin}${util.redactPath(path)}`
+    });
+    this.injectTraceContext(span, headers);
+
+    return (httpCode, error) => {
+      const attributes = Object.assign({'http.request.method': method}, getOutcomeAttributes(httpCode, error));
+
+      this.endSpan(span, attributes, error);
+
+      const measureAttributes = Object.assign({}, this.serverAttributes, attributes);
+      if (this.requestDuration) this.requestDuration.record((Date.now() - startTime) / 1000, measureAttributes);
+      if (this.requestCounter) this.requestCounter.add(1, measureAttributes);
+    };
+  }
+
+  /**
+   * Starts tracing and measuring an authentication.
+   *
+   * @return {module:openveo-rest-nodejs-client/Telemetry~Telemetry~endCallback} The function to call when the
+   * authentication is over, with the error if authentication failed
+   */
+  startAuthentication() {
+    if (!this.api) return noop;
+
+    const startTime = Date.now();
+    const span = this.startSpan('authenticate', {});
+
+    return (httpCode, error) => {
+      const attributes = Object.assign(
+        {'openveo.authentication.outcome': error ? 'failure' : 'success'},
+        getOutcomeAttributes(httpCode, error)
+      );
+
+      this.endSpan(span, attributes, error);
+
+      const measureAttributes = Object.assign({}, this.serverAttributes, attributes);
+      if (this.authenticationDuration)
+        this.authenticationDuration.record((Date.now() - startTime) / 1000, measureAttributes);
+      if (this.authenticationCounter) this.authenticationCounter.add(1, measureAttributes);
+    };
+  }
+
+}
+
+/**
+ * @callback module:openveo-rest-nodejs-client/Telemetry~Telemetry~endCallback
+ * @param {Number} [httpCode] The HTTP code of the response if any
+ * @param {Error} [error] The error if operation failed
+ */
+
+module.exports = Telemetry;
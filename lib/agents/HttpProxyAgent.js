@@ -0,0 +1,68 @@
+'use strict';
+
+/**
+ * @module openveo-rest-nodejs-client/agents/HttpProxyAgent
+ * @ignore
+ */
+
+const http = require('http');
+const util = process.requireRestClient('lib/util.js');
+
+class HttpProxyAgent extends http.Agent {
+
+  /**
+   * Creates an agent sending HTTP requests through an HTTP proxy.
+   *
+   * Requests are sent to the proxy with the absolute URL of the target as path.
+   *
+   * @class HttpProxyAgent
+   * @ignore
+   * @extends http.Agent
+   * @constructor
+   * @param {String} proxyUrl The URL of the proxy, with credentials for basic authentication if required
+   * @param {Object} [options] Agent options as described by NodeJS http.Agent documentation
+   * @throws {TypeError} Thrown if proxyUrl is not valid
+   */
+  constructor(proxyUrl, options) {
+    super(options);
+
+    Object.defineProperties(this,
+
+      /** @lends module:openveo-rest-nodejs-client/agents/HttpProxyAgent~HttpProxyAgent */
+      {
+
+        /**
+         * The proxy description.
+         *
+         * @type {Object}
+         * @readonly
+         * @instance
+         */
+        proxy: {value: util.parseProxyUrl(proxyUrl)}
+
+      }
+
+    );
+  }
+
+  /**
+   * Adds a request to the agent, redirecting it to the proxy.
+   *
+   * @param {http.ClientRequest} request The request, not sent yet
+   * @param {Object} options The request options
+   */
+  addRequest(request, options) {
+    const host = options.host.includes(':') ? `[${options.host}]` : options.host;
+    request.path = `http://${host}:${options.port}${request.path}`;
+    if (this.proxy.authorization) request.setHeader('Proxy-Authorization', this.proxy.authorization);
+
+    super.addRequest(request, Object.assign({}, options, {
+      host: this.proxy.hostname,
+      hostname: this.proxy.hostname,
+      port: this.proxy.port
+    }));
+  }
+
+}
+
+module.exports = HttpProxyAgent;
@@ -0,0 +1,110 @@
+'use strict';
+
+/**
+ * @module openveo-rest-nodejs-client/agents/HttpsProxyAgent
+ * @ignore
+ */
+
+const http = require('http');
+const https = require('https');
+const util = process.requireRestClient('lib/util.js');
+
+class HttpsProxyAgent extends https.Agent {
+
+  /**
+   * Creates an agent sending HTTPS requests through an HTTP proxy.
+   *
+   * A tunnel is opened to the target server using a CONNECT request then the TLS connection is established through
+   * the tunnel. The proxy never sees the content of the requests.
+   *
+   * @class HttpsProxyAgent
+   * @ignore
+   * @extends https.Agent
+   * @constructor
+   * @param {String} proxyUrl The URL of the proxy, with credentials for basic authentication if required
+   * @param {Object} [options] Agent options as described by NodeJS https.Agent documentation
+   * @param {Number} [options.connectTimeout=10000] Maximum time to wait for the proxy to open the tunnel (in ms)
+   * @throws {TypeError} Thrown if proxyUrl is not valid
+   */
+  constructor(proxyUrl, options) {
+    options = Object.assign({connectTimeout: 10000}, options);
+    super(options);
+
+    Object.defineProperties(this,
+
+      /** @lends module:openveo-rest-nodejs-client/agents/HttpsProxyAgent~HttpsProxyAgent */
+      {
+
+        /**
+         * The proxy description.
+         *
+         * @type {Object}
+         * @readonly
+         * @instance
+         */
+        proxy: {value: util.parseProxyUrl(proxyUrl)},
+
+        /**
+         * Maximum time to wait for the proxy to open the tunnel (in ms).
+         *
+         * @type {Number}
+         * @default 10000
+         * @readonly
+         * @instance
+         */
+        connectTimeout: {value: options.connectTimeout}
+
+      }
+
+    );
+  }
+
+  /**
+   * Creates a TLS connection to the target server through a tunnel opened by the proxy.
+   *
+   * @param {Object} options The connection options
+   * @param {Function} callback The function to call with the socket or an error
+   */
+  createConnection(options, callback) {
+    const host = options.host.includes(':') ? `[${options.host}]` : options.host;
+    const headers = {Host: `${host}:${options.port}`};
+    if (this.proxy.authorization) headers['Proxy-Authorization'] = this.proxy.authorization;
+
+    const connectRequest = http.request({
+      host: this.proxy.hostname,
+      port: this.proxy.port,
+      method: 'CONNECT',
+      path: `${host}:${options.port}`,
+      headers,
+      agent: false
+    });
+
+    connectRequest.setTimeout(this.connectTimeout, () => {
+      const error = new Error(`Proxy ${this.proxy.url} didn't open the tunnel in time`);
+      error.code = 'ETIMEDOUT';
+      connectRequest.destroy(error);
+    });
+
+    connectRequest.once('connect', (response, socket) => {
+      connectRequest.setTimeout(0);
+
+      if (response.statusCode !== 200) {
+        socket.destroy();
+        const error = new Error(
+          `Proxy ${this.proxy.url} refused to open the tunnel (HTTP code ${response.statusCode})`
+        );
+        error.code = 'ERR_PROXY_CONNECTION';
+        return callback(error);
+      }
+
+      // Establish TLS connection through the tunnel, benefiting from https.Agent TLS session cache
+      callback(null, super.createConnection(Object.assign({}, options, {socket})));
+    });
+
+    connectRequest.once('error', (error) => callback(error));
+    connectRequest.end();
+  }
+
+}
+
+module.exports = HttpsProxyAgent;
@@ -0,0 +1,205 @@
+'use strict';
+
+/**
+ * @module openveo-rest-nodejs-client/api/Api
+ */
+
+const util = process.requireRestClient('lib/util.js');
+
+/**
+ * Validators by parameter types.
+ *
+ * @private
+ * @const
+ * @type {Object}
+ */
+const VALIDATORS = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && !Number.isNaN(value),
+  boolean: (value) => typeof value === 'boolean',
+  object: (value) => util.isPlainObject(value),
+  date: (value) => value instanceof Date || typeof value === 'number' || typeof value === 'string',
+  'array<string>': (value) => Array.isArray(value) && value.every(VALIDATORS.string),
+  'array<number>': (value) => Array.isArray(value) && value.every(VALIDATORS.number),
+  'array<object>': (value) => Array.isArray(value) && value.every(VALIDATORS.object)
+};
+
+class Api {
+
+  /**
+   * Creates a web service API wrapper.
+   *
+   * APIs expose end points of a web service as functions validating their parameters and resolving with the
+   * entities returned by the web service, without the envelope. This is an abstract class.
+   *
+   * @class Api
+   * @constructor
+   * @param {module:openveo-rest-nodejs-client/OpenVeoClient~OpenVeoClient} client The client used to send requests
+   * @throws {TypeError} Thrown if client is not valid
+   */
+  constructor(client) {
+    if (this.constructor === Api)
+      throw new TypeError('Api is an abstract class and can\'t be instantiated');
+
+    if (!client || typeof client.request !== 'function')
+      throw new TypeError(`Invalid client : ${client}`);
+
+    Object.defineProperties(this,
+
+      /** @lends module:openveo-rest-nodejs-client/api/Api~Api */
+      {
+
+        /**
+         * The client used to send requests.
+         *
+         * @type {module:openveo-rest-nodejs-client/OpenVeoClient~OpenVeoClient}
+         * @instance
+         * @readonly
+         */
+        client: {value: client}
+
+      }
+
+    );
+  }
+
+  /**
+   * Validates an entity id.
+   *
+   * @param {String} id The id to validate
+   * @param {String} [name="id"] The name of the parameter, used in error message
+   * @return {String} The id, ready to be used in an end point
+   * @throws {TypeError} Thrown if id is not a valid String
+   */
+  validateId(id, name) {
+    if (!id || typeof id !== 'string')
+      throw new TypeError(`Invalid ${name || 'id'} : ${id}`);
+
+    return encodeURIComponent(id);
+  }
+
+  /**
+   * Validates a list of entity ids.
+   *
+   * @param {(String|Array)} ids An id or a list of ids
+   * @param {String} [name="ids"] The name of the parameter, used in error message
+   * @return {String} The comma separated list of ids, ready to be used in an end point
+   * @throws {TypeError} Thrown if ids is not a valid String or a valid Array of Strings
+   */
+  validateIds(ids, name) {
+    ids = Array.isArray(ids) ? ids : [ids];
+
+    if (!ids.length || !ids.every((id) => id && typeof id === 'string'))
+      throw new TypeError(`Invalid ${name || 'ids'} : ${ids}`);
+
+    return ids.map((id) => encodeURIComponent(id)).join(',');
+  }
+
+  /**
+   * Validates a list of parameters against a schema.
+   *
+   * @example
+   * api.validateParameters({page: 0, sortOrder: 'asc'}, {
+   *   page: 'number',
+   *   sortOrder: ['asc', 'desc']
+   * });
+   *
+   * @param {Object} [parameters] The parameters to validate
+   * @param {Object} schema The expected type of each parameter, either a type ("string", "number", "boolean",
+   * "object", "date", "array&lt;string&gt;", "array&lt;number&gt;" or "array&lt;object&gt;") or the list of
+   * accepted values
+   * @param {String} [name="parameters"] The name of the parameters, used in error messages
+   * @return {Object} The parameters without undefined values
+   * @throws {TypeError} Thrown if a parameter is unknown or not valid
+   */
+  validateParameters(parameters, schema, name) {
+    name = name || 'parameters';
+    if (parameters === undefined || parameters === null) return {};
+    if (!util.isPlainObject(parameters)) throw new TypeError(`Invalid ${name} : ${parameters}`);
+
+    const validatedParameters = {};
+
+    for (const key of Object.keys(parameters)) {
+      const value = parameters[key];
+      const expected = schema[key];
+
+      if (!expected)
+        throw new TypeError(`Unknown ${name} property : ${key}`);
+
+      if (value === undefined) continue;
+
+      const isValid = Array.isArray(expected) ? expected.includes(value) : VALIDATORS[expected](value);
+      if (!isValid)
+        throw new TypeError(`Invalid ${name} property ${key} : ${value}`);
+
+      validatedParameters[key] = value;
+    }
+
+    return validatedParameters;
+  }
+
+  /**
+   * Executes a request and resolves with the parsed body, without the injected httpCode.
+   *
+   * @async
+   * @param {String} method The HTTP method to use
+   * @param {String} endPoint The web service end point to reach
+   * @param {module:openveo-rest-nodejs-client/RestClient~RequestDescriptor} [descriptor] The request descriptor
+   * @return {Promise} Promise resolving with the response body
+   */
+  request(method, endPoint, descriptor) {
+    descriptor = Object.assign({}, descriptor, {fullResponse: false, responseType: 'json'});
+
+    return this.client.request(method, endPoint, descriptor).then((result) => {
+      delete result.httpCode;
+      return result;
+    });
+  }
+
+  /**
+   * Executes a request and resolves with the entity of the response.
+   *
+   * @async
+   * @param {String} method The HTTP method to use
+   * @param {String} endPoint The web service end point to reach
+   * @param {module:openveo-rest-nodejs-client/RestClient~RequestDescriptor} [descriptor] The request descriptor
+   * @return {Promise} Promise resolving with the entity
+   */
+  requestEntity(method, endPoint, descriptor) {
+    return this.request(method, endPoint, descriptor).then((result) => result.entity);
+  }
+
+  /**
+   * Executes a request and resolves with the entities of the response and the pagination.
+   *
+   * @async
+   * @param {String} endPoint The web service end point to reach
+   * @param {Object} [query] The query parameters
+   * @param {module:openveo-rest-nodejs-client/RestClient~RequestDescriptor} [descriptor] The request descriptor
+   * @return {Promise} Promise resolving with an Object containing the list of entities (entities property) and the
+   * pagination (pagination property)
+   */
+  requestEntities(endPoint, query, descriptor) {
+    descriptor = Object.assign({}, descriptor, {query});
+
+    return this.request('get', endPoint, descriptor).then((result) => {
+      return {entities: result.entities || [], pagination: result.pagination};
+    });
+  }
+
+  /**
+   * Executes a request and resolves with the total number of affected entities.
+   *
+   * @async
+   * @param {String} method The HTTP method to use
+   * @param {String} endPoint The web service end point to reach
+   * @param {module:openveo-rest-nodejs-client/RestClient~RequestDescriptor} [descriptor] The request descriptor
+   * @return {Promise} Promise resolving with the total number of affected entities
+   */
+  requestTotal(method, endPoint, descriptor) {
+    return this.request(method, endPoint, descriptor).then((result) => result.total);
+  }
+
+}
+
+module.exports = Api;
@@ -0,0 +1,559 @@
+'use strict';
+
+/**
+ * @module openveo-rest-nodejs-client/api/CoreApi
+ */
+
+const Api = process.requireRestClient('lib/api/Api.js');
+
+/**
+ * Validation schema of filters common to all lists of entities.
+ *
+ * @private
+ * @const
+ * @type {Object}
+ */
+const ENTITIES_FILTERS = {
+  query: 'string',
+  useSmartSearch: 'boolean',
+  include: 'array<string>',
+  exclude: 'array<string>',
+  sortOrder: ['asc', 'desc'],
+  page: 'number',
+  limit: 'number'
+};
+
+/**
+ * Validation schema of users filters.
+ *
+ * @private
+ * @const
+ * @type {Object}
+ */
+const USERS_FILTERS = Object.assign({}, ENTITIES_FILTERS, {
+  origin: ['all', 'local', 'cas', 'ldapauth'],
+  sortBy: ['name']
+});
+
+/**
+ * Validation schema of user fields.
+ *
+ * @private
+ * @const
+ * @type {Object}
+ */
+const USER_FIELDS = {
+  name: 'string',
+  email: 'string',
+  password: 'string',
+  passwordValidate: 'string',
+  roles: 'array<string>',
+  locked: 'boolean'
+};
+
+/**
+ * Validation schema of roles filters.
+ *
+ * @private
+ * @const
+ * @type {Object}
+ */
+const ROLES_FILTERS = Object.assign({}, ENTITIES_FILTERS, {
+  sortBy: ['name']
+});
+
+/**
+ * Validation schema of role fields.
+ *
+ * @private
+ * @const
+ * @type {Object}
+ */
+const ROLE_FIELDS = {
+  name: 'string',
+  permissions: 'array<string>'
+};
+
+/**
+ * Validation schema of groups filters.
+ *
+ * @private
+ * @const
+ * @type {Object}
+ */
+const GROUPS_FILTERS = Object.assign({}, ENTITIES_FILTERS, {
+  sortBy: ['name', 'description']
+});
+
+/**
+ * Validation schema of group fields.
+ *
+ * @private
+ * @const
+ * @type {Object}
+ */
+const GROUP_FIELDS = {
+  name: 'string',
+  description: 'string'
+};
+
+/**
+ * Validation schema of taxonomies filters.
+ *
+ * @private
+ * @const
+ * @type {Object}
+ */
+const TAXONOMIES_FILTERS = Object.assign({}, ENTITIES_FILTERS, {
+  sortBy: ['name']
+});
+
+/**
+ * Validation schema of taxonomy fields.
+ *
+ * @private
+ * @const
+ * @type {Object}
+ */
+const TAXONOMY_FIELDS = {
+  name: 'string',
+  tree: 'array<object>'
+};
+
+/**
+ * Validation schema of fields filters used when getting an entity.
+ *
+ * @private
+ * @const
+ * @type {Object}
+ */
+const FIELDS_FILTERS = {
+  include: 'array<string>',
+  exclude: 'array<string>'
+};
+
+/**
+ * Creates a wrapper of OpenVeo core web service.
+ *
+ * Users, roles, groups and taxonomies are managed through the same set of functions: get&lt;Entities&gt; to get a
+ * page of entities, get&lt;Entity&gt; to get one entity, add&lt;Entity&gt;, update&lt;Entity&gt; and
+ * delete&lt;Entities&gt;. All functions validate their parameters, throwing a TypeError if not valid, and resolve
+ * with the entities without the web service envelope. All functions accept request options as last
+ * argument (see {@link module:openveo-rest-nodejs-client/RestClient~RequestDescriptor}).
+ *
+ * @example
+ * const users = await client.core.getUsers({query: 'john', limit: 10});
+ *
+ * try {
+ *   await client.core.getUser('unknown id');
+ * } catch (error) {
+ *   if (error instanceof NotFoundError) console.log('No such user');
+ * }
+ *
+ * @class CoreApi
+ * @extends module:openveo-rest-nodejs-client/api/Api~Api
+ * @constructor
+ * @param {module:openveo-rest-nodejs-client/OpenVeoClient~OpenVeoClient} client The client used to send requests
+ */
+class CoreApi extends Api {
+
+  /**
+   * Gets users.
+   *
+   * @async
+   * @param {Object} [filters] Filters to apply to the list of users
+   * @param {String} [filters.query] To search on users name
+   * @param {Boolean} [filters.useSmartSearch] To use a more advanced search mechanism
+   * @param {String} [filters.origin="all"] To filter users by origin (either "all", "local", "cas" or "ldapauth")
+   * @param {Array} [filters.include] The list of fields to include in returned users
+   * @param {Array} [filters.exclude] The list of fields to exclude from returned users
+   * @param {String} [filters.sortBy="name"] To sort users by name
+   * @param {String} [filters.sortOrder="desc"] Sort order (either "asc" or "desc")
+   * @param {Number} [filters.page=0] The expected page
+   * @param {Number} [filters.limit] The maximum number of expected users per page
+   * @param {module:openveo-rest-nodejs-client/RestClient~RequestDescriptor} [options] Request options
+   * @return {Promise} Promise resolving with an Object containing the list of users (entities property) and the
+   * pagination (pagination property)
+   * @throws {TypeError} Thrown if a filter is not valid
+   */
+  getUsers(filters, options) {
+    return this.requestEntities('users', this.validateParameters(filters, USERS_FILTERS, 'filters'), options);
+  }
+
+  /**
+   * Gets a user.
+   *
+   * @async
+   * @param {String} id The user id
+   * @param {Object} [filters] Fields to include or exclude
+   * @param {Array} [filters.include] The list of fields to include in returned user
+   * @param {Array} [filters.exclude] The list of fields to exclude from returned user
+   * @param {module:openveo-rest-nodejs-client/RestClient~RequestDescriptor} [options] Request options
+   * @return {Promise} Promise resolving with the user
+   * @throws {TypeError} Thrown if id or a filter is not valid
+   */
+  getUser(id, filters, options) {
+    const query = this.validateParameters(filters, FIELDS_FILTERS, 'filters');
+    return this.requestEntity('get', `users/${this.validateId(id)}`, Object.assign({}, options, {query}));
+  }
+
+  /**
+   * Adds a user.
+   *
+   * @async
+   * @param {Object} user The user
+   * @param {String} user.name The user name
+   * @param {String} user.email The user email
+   * @param {String} user.password The user password
+   * @param {String} user.passwordValidate The user password confirmation
+   * @param {Array} [user.roles] The user roles
+   * @param {Boolean} [user.locked] true to prevent the user from being modified or deleted
+   * @param {module:openveo-rest-nodejs-client/RestClient~RequestDescriptor} [options] Request options
+   * @return {Promise} Promise resolving with the added user
+   * @throws {TypeError} Thrown if user is not valid
+   */
+  addUser(user, options) {
+    const body = this.validateParameters(user, USER_FIELDS, 'user');
+    ['name', 'email', 'password', 'passwordValidate'].forEach((name) => {
+      if (!body[name]) throw new TypeError(`Invalid user property ${name} : undefined`);
+    });
+
+    return this.requestEntity('put', 'users', Object.assign({}, options, {body}));
+  }
+
+  /**
+   * Updates a user.
+   *
+   * @async
+   * @param {String} id The user id
+   * @param {Object} data The user fields to update, see addUser user
+   * @param {module:openveo-rest-nodejs-client/RestClient~RequestDescriptor} [options] Request options
+   * @return {Promise} Promise resolving with the total number of updated users
+   * @throws {TypeError} Thrown if id or data is not valid
+   */
+  updateUser(id, data, options) {
+    const body = this.validateParameters(data, USER_FIELDS, 'data');
+    return this.requestTotal('post', `users/${this.validateId(id)}`, Object.assign({}, options, {body}));
+  }
+
+  /**
+   * Deletes users.
+   *
+   * @async
+   * @param {(String|Array)} ids The id or the list of ids of the users to delete
+   * @param {module:openveo-rest-nodejs-client/RestClient~RequestDescriptor} [options] Request options
+   * @return {Promise} Promise resolving with the total number of deleted users
+   * @throws {TypeError} Thrown if ids is not valid
+   */
+  deleteUsers(ids, options) {
+    return this.requestTotal('delete', `users/${this.validateIds(ids)}`, options);
+  }
+
+  /**
+   * Gets roles.
+   *
+   * @async
+   * @param {Object} [filters] Filters to apply to the list of roles
+   * @param {String} [filters.query] To search on roles name
+   * @param {Boolean} [filters.useSmartSearch] To use a more advanced search mechanism
+   * @param {Array} [filters.include] The list of fields to include in returned roles
+   * @param {Array} [filters.exclude] The list of fields to exclude from returned roles
+   * @param {String} [filters.sortBy="name"] To sort roles by name
+   * @param {String} [filters.sortOrder="desc"] Sort order (either "asc" or "desc")
+   * @param {Number} [filters.page=0] The expected page
+   * @param {Number} [filters.limit] The maximum number of expected roles per page
+   * @param {module:openveo-rest-nodejs-client/RestClient~RequestDescriptor} [options] Request options
+   * @return {Promise} Promise resolving with an Object containing the list of roles (entities property) and the
+   * pagination (pagination property)
+   * @throws {TypeError} Thrown if a filter is not valid
+   */
+  getRoles(filters, options) {
+    return this.requestEntities('roles', this.validateParameters(filters, ROLES_FILTERS, 'filters'), options);
+  }
+
+  /**
+   * Gets a role.
+   *
+   * @async
+   * @param {String} id The role id
+   * @param {Object} [filters] Fields to include or exclude
+   * @param {Array} [filters.include] The list of fields to include in returned role
+   * @param {Array} [filters.exclude] The list of fields to exclude from returned role
+   * @param {module:openveo-rest-nodejs-client/RestClient~RequestDescriptor} [options] Request options
+   * @return {Promise} Promise resolving with the role
+   * @throws {TypeError} Thrown if id or a filter is not valid
+   */
+  getRole(id, filters, options) {
+    const query = this.validateParameters(filters, FIELDS_FILTERS, 'filters');
+    return this.requestEntity('get', `roles/${this.validateId(id)}`, Object.assign({}, options, {query}));
+  }
+
+  /**
+   * Adds a role.
+   *
+   * @async
+   * @param {Object} role The role
+   * @param {String} role.name The role name
+   * @param {Array} role.permissions The role permissions
+   * @param {module:openveo-rest-nodejs-client/RestClient~RequestDescriptor} [options] Request options
+   * @return {Promise} Promise resolving with the added role
+   * @throws {TypeError} Thrown if role is not valid
+   */
+  addRole(role, options) {
+    const body = this.validateParameters(role, ROLE_FIELDS, 'role');
+    if (!body.name) throw new TypeError('Invalid role property name : undefined');
+    if (!body.permissions) throw new TypeError('Invalid role property permissions : undefined');
+
+    return this.requestEntity('put', 'roles', Object.assign({}, options, {body}));
+  }
+
+  /**
+   * Updates a role.
+   *
+   * @async
+   * @param {String} id The role id
+   * @param {Object} data The role fields to update, see addRole role
+   * @param {module:openveo-rest-nodejs-client/RestClient~RequestDescriptor} [options] Request options
+   * @return {Promise} Promise resolving with the total number of updated roles
+   * @throws {TypeError} Thrown if id or data is not valid
+   */
+  updateRole(id, data, options) {
+    const body = this.validateParameters(data, ROLE_FIELDS, 'data');
+    return this.requestTotal('post', `roles/${this.validateId(id)}`, Object.assign({}, options, {body}));
+  }
+
+  /**
+   * Deletes roles.
+   *
+   * @async
+   * @param {(String|Array)} ids The id or the list of ids of the roles to delete
+   * @param {module:openveo-rest-nodejs-client/RestClient~RequestDescriptor} [options] Request options
+   * @return {Promise} Promise resolving with the total number of deleted roles
+   * @throws {TypeError} Thrown if ids is not valid
+   */
+  deleteRoles(ids, options) {
+    return this.requestTotal('delete', `roles/${this.validateIds(ids)}`, options);
+  }
+
+  /**
+   * Gets groups.
+   *
+   * @async
+   * @param {Object} [filters] Filters to apply to the list of groups
+   * @param {String} [filters.query] To search on both groups name and description
+   * @param {Boolean} [filters.useSmartSearch] To use a more advanced search mechanism
+   * @param {Array} [filters.include] The list of fields to include in returned groups
+   * @param {Array} [filters.exclude] The list of fields to exclude from returned groups
+   * @param {String} [filters.sortBy="name"] To sort groups by name or description
+   * @param {String} [filters.sortOrder="desc"] Sort order (either "asc" or "desc")
+   * @param {Number} [filters.page=0] The expected page
+   * @param {Number} [filters.limit] The maximum number of expected groups per page
+   * @param {module:openveo-rest-nodejs-client/RestClient~RequestDescriptor} [options] Request options
+   * @return {Promise} Promise resolving with an Object containing the list of groups (entities property) and the
+   * pagination (pagination property)
+   * @throws {TypeError} Thrown if a filter is not valid
+   */
+  getGroups(filters, options) {
+    return this.requestEntities('groups', this.validateParameters(filters, GROUPS_FILTERS, 'filters'), options);
+  }
+
+  /**
+   * Gets a group.
+   *
+   * @async
+   * @param {String} id The group id
+   * @param {Object} [filters] Fields to include or exclude
+   * @param {Array} [filters.include] The list of fields to include in returned group
+   * @param {Array} [filters.exclude] The list of fields to exclude from returned group
+   * @param {module:openveo-rest-nodejs-client/RestClient~RequestDescriptor} [options] Request options
+   * @return {Promise} Promise resolving with the group
+   * @throws {TypeError} Thrown if id or a filter is not valid
+   */
+  getGroup(id, filters, options) {
+    const query = this.validateParameters(filters, FIELDS_FILTERS, 'filters');
+    return this.requestEntity('get', `groups/${this.validateId(id)}`, Object.assign({}, options, {query}));
+  }
+
+  /**
+   * Adds a group.
+   *
+   * @async
+   * @param {Object} group The group
+   * @param {String} group.name The group name
+   * @param {String} group.description The group description
+   * @param {module:openveo-rest-nodejs-client/RestClient~RequestDescriptor} [options] Request options
+   * @return {Promise} Promise resolving with the added group
+   * @throws {TypeError} Thrown if group is not valid
+   */
+  addGroup(group, options) {
+    const body = this.validateParameters(group, GROUP_FIELDS, 'group');
+    if (!body.name) throw new TypeError('Invalid group property name : undefined');
+    if (!body.description) throw new TypeError('Invalid group property description : undefined');
+
+    return this.requestEntity('put', 'groups', Object.assign({}, options, {body}));
+  }
+
+  /**
+   * Updates a group.
+   *
+   * @async
+   * @param {String} id The group id
+   * @param {Object} data The group fields to update, see addGroup group
+   * @param {module:openveo-rest-nodejs-client/RestClient~RequestDescriptor} [options] Request options
+   * @return {Promise} Promise resolving with the total number of updated groups
+   * @throws {TypeError} Thrown if id or data is not valid
+   */
+  updateGroup(id, data, options) {
+    const body = this.validateParameters(data, GROUP_FIELDS, 'data');
+    return this.requestTotal('post', `groups/${this.validateId(id)}`, Object.assign({}, options, {body}));
+  }
+
+  /**
+   * Deletes groups.
+   *
+   * @async
+   * @param {(String|Array)} ids The id or the list of ids of the groups to delete
+   * @param {module:openveo-rest-nodejs-client/RestClient~RequestDescriptor} [options] Request options
+   * @return {Promise} Promise resolving with the total number of deleted groups
+   * @throws {TypeError} Thrown if ids is not valid
+   */
+  deleteGroups(ids, options) {
+    return this.requestTotal('delete', `groups/${this.validateIds(ids)}`, options);
+  }
+
+  /**
+   * Gets taxonomies.
+   *
+   * @async
+   * @param {Object} [filters] Filters to apply to the list of taxonomies
+   * @param {String} [filters.query] To search on taxonomies name
+   * @param {Boolean} [filters.useSmartSearch] To use a more advanced search mechanism
+   * @param {Array} [filters.include] The list of fields to include in returned taxonomies
+   * @param {Array} [filters.exclude] The list of fields to exclude from returned taxonomies
+   * @param {String} [filters.sortBy="name"] To sort taxonomies by name
+   * @param {String} [filters.sortOrder="desc"] Sort order (either "asc" or "desc")
+   * @param {Number} [filters.page=0] The expected page
+   * @param {Number} [filters.limit] The maximum number of expected taxonomies per page
+   * @param {module:openveo-rest-nodejs-client/RestClient~RequestDescriptor} [options] Request options
+   * @return {Promise} Promise resolving with an Object containing the list of taxonomies (entities property) and
+   * the pagination (pagination property)
+   * @throws {TypeError} Thrown if a filter is not valid
+   */
+  getTaxonomies(filters, options) {
+    const query = this.validateParameters(filters, TAXONOMIES_FILTERS, 'filters');
+    return this.requestEntities('taxonomies', query, options);
+  }
+
+  /**
+   * Gets a taxonomy.
+   *
+   * @async
+   * @param {String} id The taxonomy id
+   * @param {Object} [filters] Fields to include or exclude
+   * @param {Array} [filters.include] The list of fields to include in returned taxonomy
+   * @param {Array} [filters.exclude] The list of fields to exclude from returned taxonomy
+   * @param {module:openveo-rest-nodejs-client/RestClient~RequestDescriptor} [options] Request options
+   * @return {Promise} Promise resolving with the taxonomy
+   * @throws {TypeError} Thrown if id or a filter is not valid
+   */
+  getTaxonomy(id, filters, options) {
+    const query = this.validateParameters(filters, FIELDS_FILTERS, 'filters');
+    return this.requestEntity('get', `taxonomies/${this.validateId(id)}`, Object.assign({}, options, {query}));
+  }
+
+  /**
+   * Adds a taxonomy.
+   *
+   * @async
+   * @param {Object} taxonomy The taxonomy
+   * @param {String} taxonomy.name The taxonomy name
+   * @param {Array} [taxonomy.tree] The taxonomy terms, each term being an Object with an id, a title and a list of
+   * sub terms (items property)
+   * @param {module:openveo-rest-nodejs-client/RestClient~RequestDescriptor} [options] Request options
+   * @return {Promise} Promise resolving with the added taxonomy
+   * @throws {TypeError} Thrown if taxonomy is not valid
+   */
+  addTaxonomy(taxonomy, options) {
+    const body = this.validateParameters(taxonomy, TAXONOMY_FIELDS, 'taxonomy');
+    if (!body.name) throw new TypeError('Invalid taxonomy property name : undefined');
+
+    return this.requestEntity('put', 'taxonomies', Object.assign({}, options, {body}));
+  }
+
+  /**
+   * Updates a taxonomy.
+   *
+   * @async
+   * @param {String} id The taxonomy id
+   * @param {Object} data The taxonomy fields to update, see addTaxonomy taxonomy
+   * @param {module:openveo-rest-nodejs-client/RestClient~RequestDescriptor} [options] Request options
+   * @return {Promise} Promise resolving with the total number of updated taxonomies
+   * @throws {TypeError} Thrown if id or data is not valid
+   */
+  updateTaxonomy(id, data, options) {
+    const body = this.validateParameters(data, TAXONOMY_FIELDS, 'data');
+    return this.requestTotal('post', `taxonomies/${this.validateId(id)}`, Object.assign({}, options, {body}));
+  }
+
+  /**
+   * Deletes taxonomies.
+   *
+   * @async
+   * @param {(String|Array)} ids The id or the list of ids of the taxonomies to delete
+   * @param {module:openveo-rest-nodejs-client/RestClient~RequestDescriptor} [options] Request options
+   * @return {Promise} Promise resolving with the total number of deleted taxonomies
+   * @throws {TypeError} Thrown if ids is not valid
+   */
+  deleteTaxonomies(ids, options) {
+    return this.requestTotal('delete', `taxonomies/${this.validateIds(ids)}`, options);
+  }
+
+  /**
+   * Gets the terms of a taxonomy.
+   *
+   * @async
+   * @param {String} id The taxonomy id
+   * @param {module:openveo-rest-nodejs-client/RestClient~RequestDescriptor} [options] Request options
+   * @return {Promise} Promise resolving with the tree of terms
+   * @throws {TypeError} Thrown if id is not valid
+   */
+  getTerms(id, options) {
+    return this.request('get', `taxonomies/${this.validateId(id)}/terms`, options).then((result) => {
+      return result.terms || [];
+    });
+  }
+
+  /**
+   * Gets a setting.
+   *
+   * @async
+   * @param {String} id The setting id
+   * @param {module:openveo-rest-nodejs-client/RestClient~RequestDescriptor} [options] Request options
+   * @return {Promise} Promise resolving with the setting, undefined if setting has never been set
+   * @throws {TypeError} Thrown if id is not valid
+   */
+  getSetting(id, options) {
+    return this.requestEntity('get', `settings/${this.validateId(id)}`, options);
+  }
+
+  /**
+   * Updates a setting.
+   *
+   * @async
+   * @param {String} id The setting id
+   * @param {*} value The setting value
+   * @param {module:openveo-rest-nodejs-client/RestClient~RequestDescriptor} [options] Request options
+   * @return {Promise} Promise resolving with the total number of updated settings
+   * @throws {TypeError} Thrown if id or value is not valid
+   */
+  updateSetting(id, value, options) {
+    if (value === undefined) throw new TypeError('Invalid setting value : undefined');
+
+    return this.requestTotal('post', `settings/${this.validateId(id)}`, Object.assign({}, options, {
+      body: {value}
+    }));
+  }
+
+}
+
+module.exports = CoreApi;
@@ -0,0 +1,386 @@
+'use strict';
+
+/**
+ * @module openveo-rest-nodejs-client/api/PublishApi
+ */
+
+const Api = process.requireRestClient('lib/api/Api.js');
+
+/**
+ * Validation schema of video filters.
+ *
+ * @private
+ * @const
+ * @type {Object}
+ */
+const VIDEOS_FILTERS = {
+  query: 'string',
+  searchInPois: 'boolean',
+  useSmartSearch: 'boolean',
+  states: 'array<number>',
+  categories: 'array<string>',
+  groups: 'array<string>',
+  user: 'array<string>',
+  properties: 'object',
+  dateStart: 'date',
+  dateEnd: 'date',
+  include: 'array<string>',
+  exclude: 'array<string>',
+  useSmartFields: 'boolean',
+  sortBy: ['title', 'description', 'date', 'state', 'views', 'category'],
+  sortOrder: ['asc', 'desc'],
+  page: 'number',
+  limit: 'number'
+};
+
+/**
+ * Validation schema of video fields.
+ *
+ * @private
+ * @const
+ * @type {Object}
+ */
+const VIDEO_FIELDS = {
+  title: 'string',
+  date: 'date',
+  leadParagraph: 'string',
+  description: 'string',
+  categories: 'array<string>',
+  groups: 'array<string>',
+  properties: 'object',
+  platform: 'string'
+};
+
+/**
+ * Validation schema of properties filters.
+ *
+ * @private
+ * @const
+ * @type {Object}
+ */
+const PROPERTIES_FILTERS = {
+  query: 'string',
+  useSmartSearch: 'boolean',
+  include: 'array<string>',
+  exclude: 'array<string>',
+  sortBy: ['name', 'description'],
+  sortOrder: ['asc', 'desc'],
+  page: 'number',
+  limit: 'number'
+};
+
+/**
+ * Validation schema of property fields.
+ *
+ * @private
+ * @const
+ * @type {Object}
+ */
+const PROPERTY_FIELDS = {
+  name: 'string',
+  description: 'string',
+  type: ['text', 'list', 'dateTime', 'boolean', 'dictionary'],
+  values: 'array<string>'
+};
+
+/**
+ * Validation schema of fields filters used when getting an entity.
+ *
+ * @private
+ * @const
+ * @type {Object}
+ */
+const FIELDS_FILTERS = {
+  include: 'array<string>',
+  exclude: 'array<string>'
+};
+
+/**
+ * Creates a wrapper of OpenVeo Publish plugin web service.
+ *
+ * All functions validate their parameters, throwing a TypeError if not valid, and resolve with the entities
+ * without the web service envelope. All functions accept request options as last argument (see
+ * {@link module:openveo-rest-nodejs-client/RestClient~RequestDescriptor}), to set a timeout or an AbortSignal for
+ * example.
+ *
+ * @example
+ * const videos = await client.publish.getVideos({states: [12], sortBy: 'date', limit: 10});
+ * const video = await client.publish.getVideo(videos.entities[0].id);
+ *
+ * @class PublishApi
+ * @extends module:openveo-rest-nodejs-client/api/Api~Api
+ * @constructor
+ * @param {module:openveo-rest-nodejs-client/OpenVeoClient~OpenVeoClient} client The client used to send requests
+ */
+class PublishApi extends Api {
+
+  /**
+   * Gets videos.
+   *
+   * @async
+   * @param {Object} [filters] Filters to apply to the list of videos
+   * @param {String} [filters.query] To search on both videos title and description
+   * @param {Boolean} [filters.searchInPois] To also search in points of interest
+   * @param {Boolean} [filters.useSmartSearch] To use a more advanced search mechanism
+   * @param {Array} [filters.states] To filter videos by states
+   * @param {Array} [filters.categories] To filter videos by categories
+   * @param {Array} [filters.groups] To filter videos by groups
+   * @param {Array} [filters.user] To filter videos by owners
+   * @param {Object} [filters.properties] To filter videos by custom properties values, with property ids as keys
+   * @param {(Date|Number|String)} [filters.dateStart] To get videos after or equal to this date
+   * @param {(Date|Number|String)} [filters.dateEnd] To get videos before this date
+   * @param {Array} [filters.include] The list of fields to include in returned videos
+   * @param {Array} [filters.exclude] The list of fields to exclude from returned videos
+   * @param {Boolean} [filters.useSmartFields] To add pre-calculated fields (thumbnails, resources)
+   * @param {String} [filters.sortBy="date"] To sort videos by title, description, date, state, views or category
+   * @param {String} [filters.sortOrder="desc"] Sort order (either "asc" or "desc")
+   * @param {Number} [filters.page=0] The expected page
+   * @param {Number} [filters.limit] The maximum number of expected videos per page
+   * @param {module:openveo-rest-nodejs-client/RestClient~RequestDescriptor} [options] Request options
+   * @return {Promise} Promise resolving with an Object containing the list of videos (entities property) and the
+   * pagination (pagination property)
+   * @throws {TypeError} Thrown if a filter is not valid
+   */
+  getVideos(filters, options) {
+    return this.requestEntities('publish/videos', this.validateParameters(filters, VIDEOS_FILTERS, 'filters'), options);
+  }
+
+  /**
+   * Gets a video.
+   *
+   * @async
+   * @param {String} id The video id
+   * @param {Object} [filters] Fields to include or exclude
+   * @param {Array} [filters.include] The list of fields to include in returned video
+   * @param {Array} [filters.exclude] The list of fields to exclude from returned video
+   * @param {module:openveo-rest-nodejs-client/RestClient~RequestDescriptor} [options] Request options
+   * @return {Promise} Promise resolving with the video
+   * @throws {TypeError} Thrown if id or a filter is not valid
+   */
+  getVideo(id, filters, options) {
+    const query = this.validateParameters(filters, FIELDS_FILTERS, 'filters');
+    return this.requestEntity('get', `publish/videos/${this.validateId(id)}`, Object.assign({}, options, {query}));
+  }
+
+  /**
+   * Adds a video.
+   *
+   * Upload timeout is deactivated by default, use options to change it or to follow upload progress.
+   *
+   * @example
+   * client.publish.addVideo(
+   *   {path: '/absolute/path/to/video.mp4'},
+   *   {title: 'My video', categories: ['category id']},
+   *   {onUploadProgress: (progress) => console.log(`${progress.loaded} / ${progress.total}`)}
+   * );
+   *
+   * @async
+   * @param {(module:openveo-rest-nodejs-client/Request~MultipartFile|String)} file The video file or its path
+   * @param {Object} info Video information
+   * @param {String} info.title The video title
+   * @param {(Date|Number|String)} [info.date] The video date
+   * @param {String} [info.leadParagraph] The video lead paragraph
+   * @param {String} [info.description] The video description
+   * @param {Array} [info.categories] The video categories
+   * @param {Array} [info.groups] The video groups
+   * @param {Object} [info.properties] The video custom properties values, with property ids as keys
+   * @param {String} [info.platform] The video platform to upload the video to
+   * @param {module:openveo-rest-nodejs-client/RestClient~RequestDescriptor} [options] Request options
+   * @return {Promise} Promise resolving with the id of the added video
+   * @throws {TypeError} Thrown if file or info is not valid
+   */
+  addVideo(file, info, options) {
+    if (typeof file === 'string') file = {path: file};
+    if (!file || typeof file !== 'object')
+      throw new TypeError(`Invalid file : ${file}`);
+
+    info = this.validateParameters(info, VIDEO_FIELDS, 'info');
+    if (!info.title) throw new TypeError('Invalid info property title : undefined');
+
+    return this.request('put', 'publish/videos', Object.assign({uploadTimeout: Infinity}, options, {
+      multipart: true,
+      body: {info: JSON.stringify(info), file}
+    })).then((result) => result.id);
+  }
+
+  /**
+   * Updates a video.
+   *
+   * @async
+   * @param {String} id The video id
+   * @param {Object} data The video fields to update, see addVideo info
+   * @param {module:openveo-rest-nodejs-client/RestClient~RequestDescriptor} [options] Request options
+   * @return {Promise} Promise resolving with the total number of updated videos
+   * @throws {TypeError} Thrown if id or data is not valid
+   */
+  updateVideo(id, data, options) {
+    const body = this.validateParameters(data, VIDEO_FIELDS, 'data');
+    return this.requestTotal('post', `publish/videos/${this.validateId(id)}`, Object.assign({}, options, {body}));
+  }
+
+  /**
+   * Deletes videos.
+   *
+   * @async
+   * @param {(String|Array)} ids The id or the list of ids of the videos to delete
+   * @param {module:openveo-rest-nodejs-client/RestClient~RequestDescriptor} [options] Request options
+   * @return {Promise} Promise resolving with the total number of deleted videos
+   * @throws {TypeError} Thrown if ids is not valid
+   */
+  deleteVideos(ids, options) {
+    return this.requestTotal('delete', `publish/videos/${this.validateIds(ids)}`, options);
+  }
+
+  /**
+   * Publishes videos.
+   *
+   * @async
+   * @param {(String|Array)} ids The id or the list of ids of the videos to publish
+   * @param {module:openveo-rest-nodejs-client/RestClient~RequestDescriptor} [options] Request options
+   * @return {Promise} Promise resolving with the total number of published videos
+   * @throws {TypeError} Thrown if ids is not valid
+   */
+  publishVideos(ids, options) {
+    return this.requestTotal('post', `publish/videos/${this.validateIds(ids)}/publish`, options);
+  }
+
+  /**
+   * Unpublishes videos.
+   *
+   * @async
+   * @param {(String|Array)} ids The id or the list of ids of the videos to unpublish
+   * @param {module:openveo-rest-nodejs-client/RestClient~RequestDescriptor} [options] Request options
+   * @return {Promise} Promise resolving with the total number of unpublished videos
+   * @throws {TypeError} Thrown if ids is not valid
+   */
+  unpublishVideos(ids, options) {
+    return this.requestTotal('post', `publish/videos/${this.validateIds(ids)}/unpublish`, options);
+  }
+
+  /**
+   * Gets video categories.
+   *
+   * Categories are the terms of the OpenVeo "categories" taxonomy.
+   *
+   * @async
+   * @param {module:openveo-rest-nodejs-client/RestClient~RequestDescriptor} [options] Request options
+   * @return {Promise} Promise resolving with the tree of categories
+   */
+  getCategories(options) {
+    return this.requestEntities('taxonomies', {query: 'categories'}, options).then((result) => {
+      const taxonomy = result.entities.find((entity) => entity.name === 'categories');
+      if (!taxonomy) return [];
+
+      return this.request('get', `taxonomies/${this.validateId(taxonomy.id)}/terms`, options).then((terms) => {
+        return terms.terms || [];
+      });
+    });
+  }
+
+  /**
+   * Gets custom properties.
+   *
+   * @async
+   * @param {Object} [filters] Filters to apply to the list of properties
+   * @param {String} [filters.query] To search on both properties name and description
+   * @param {Boolean} [filters.useSmartSearch] To use a more advanced search mechanism
+   * @param {Array} [filters.include] The list of fields to include in returned properties
+   * @param {Array} [filters.exclude] The list of fields to exclude from returned properties
+   * @param {String} [filters.sortBy="name"] To sort properties by name or description
+   * @param {String} [filters.sortOrder="desc"] Sort order (either "asc" or "desc")
+   * @param {Number} [filters.page=0] The expected page
+   * @param {Number} [filters.limit] The maximum number of expected properties per page
+   * @param {module:openveo-rest-nodejs-client/RestClient~RequestDescriptor} [options] Request options
+   * @return {Promise} Promise resolving with an Object containing the list of properties (entities property) and
+   * the pagination (pagination property)
+   * @throws {TypeError} Thrown if a filter is not valid
+   */
+  getProperties(filters, options) {
+    const query = this.validateParameters(filters, PROPERTIES_FILTERS, 'filters');
+    return this.requestEntities('publish/properties', query, options);
+  }
+
+  /**
+   * Gets a custom property.
+   *
+   * @async
+   * @param {String} id The property id
+   * @param {module:openveo-rest-nodejs-client/RestClient~RequestDescriptor} [options] Request options
+   * @return {Promise} Promise resolving with the property
+   * @throws {TypeError} Thrown if id is not valid
+   */
+  getProperty(id, options) {
+    return this.requestEntity('get', `publish/properties/${this.validateId(id)}`, options);
+  }
+
+  /**
+   * Adds a custom property.
+   *
+   * @async
+   * @param {Object} property The property
+   * @param {String} property.name The property name
+   * @param {String} property.type The property type (either "text", "list", "dateTime", "boolean" or
+   * "dictionary")
+   * @param {String} [property.description] The property description
+   * @param {Array} [property.values] The property values for properties of type "list"
+   * @param {module:openveo-rest-nodejs-client/RestClient~RequestDescriptor} [options] Request options
+   * @return {Promise} Promise resolving with the added property
+   * @throws {TypeError} Thrown if property is not valid
+   */
+  addProperty(property, options) {
+    const body = this.validateParameters(property, PROPERTY_FIELDS, 'property');
+    if (!body.name) throw new TypeError('Invalid property property name : undefined');
+    if (!body.type) throw new TypeError('Invalid property property type : undefined');
+
+    return this.requestEntity('put', 'publish/properties', Object.assign({}, options, {body}));
+  }
+
+  /**
+   * Updates a custom property.
+   *
+   * @async
+   * @param {String} id The property id
+   * @param {Object} data The property fields to update, see addProperty property
+   * @param {module:openveo-rest-nodejs-client/RestClient~RequestDescriptor} [options] Request options
+   * @return {Promise} Promise resolving with the total number of updated properties
+   * @throws {TypeError} Thrown if id or data is not valid
+   */
+  updateProperty(id, data, options) {
+    const body = this.validateParameters(data, PROPERTY_FIELDS, 'data');
+    return this.requestTotal('post', `publish/properties/${this.validateId(id)}`, Object.assign({}, options, {body}));
+  }
+
+  /**
+   * Deletes custom properties.
+   *
+   * @async
+   * @param {(String|Array)} ids The id or the list of ids of the properties to delete
+   * @param {module:openveo-rest-nodejs-client/RestClient~RequestDescriptor} [options] Request options
+   * @return {Promise} Promise resolving with the total number of deleted properties
+   * @throws {TypeError} Thrown if ids is not valid
+   */
+  deleteProperties(ids, options) {
+    return this.requestTotal('delete', `publish/properties/${this.validateIds(ids)}`, options);
+  }
+
+  /**
+   * Gets the groups videos can belong to.
+   *
+   * @async
+   * @param {Object} [filters] Filters to apply to the list of groups
+   * @param {String} [filters.query] To search on both groups name and description
+   * @param {Number} [filters.page=0] The expected page
+   * @param {Number} [filters.limit] The maximum number of expected groups per page
+   * @param {module:openveo-rest-nodejs-client/RestClient~RequestDescriptor} [options] Request options
+   * @return {Promise} Promise resolving with an Object containing the list of groups (entities property) and the
+   * pagination (pagination property)
+   * @throws {TypeError} Thrown if a filter is not valid
+   */
+  getGroups(filters, options) {
+    const query = this.validateParameters(filters, {query: 'string', page: 'number', limit: 'number'}, 'filters');
+    return this.requestEntities('groups', query, options);
+  }
+
+}
+
+module.exports = PublishApi;
@@ -0,0 +1,14 @@
+'use strict';
+
+/**
+ * Exposes the list of web service API wrappers.
+ *
+ * @module openveo-rest-nodejs-client/api
+ * @property {module:openveo-rest-nodejs-client/api/Api} Api Api module
+ * @property {module:openveo-rest-nodejs-client/api/CoreApi} CoreApi CoreApi module
+ * @property {module:openveo-rest-nodejs-client/api/PublishApi} PublishApi PublishApi module
+ */
+
+module.exports.Api = process.requireRestClient('lib/api/Api.js');
+module.exports.CoreApi = process.requireRestClient('lib/api/CoreApi.js');
+module.exports.PublishApi = process.requireRestClient('lib/api/PublishApi.js');
@@ -0,0 +1,101 @@
+'use strict';
+
+/**
+ * @module openveo-rest-nodejs-client/authentication/AuthenticationStrategy
+ */
+
+class AuthenticationStrategy {
+
+  /**
+   * Creates an authentication strategy.
+   *
+   * An authentication strategy is responsible for getting an access token from the web service and for building the
+   * headers authenticating the requests. This is an abstract class, strategies must extend it and implement the
+   * *authenticate* function.
+   *
+   * @example
+   * class ApiKeyStrategy extends AuthenticationStrategy {
+   *   authenticate(client) {
+   *     return Promise.resolve({accessToken: process.env.API_KEY});
+   *   }
+   *
+   *   getAuthenticationHeaders(accessToken) {
+   *     return {'X-Api-Key': accessToken};
+   *   }
+   * }
+   *
+   * @class AuthenticationStrategy
+   * @constructor
+   */
+  constructor() {
+    if (this.constructor === AuthenticationStrategy)
+      throw new TypeError('AuthenticationStrategy is an abstract class and can\'t be instantiated');
+  }
+
+  /**
+   * Gets an access token from the web service.
+   *
+   * @async
+   * @param {module:openveo-rest-nodejs-client/RestClient~RestClient} client The client to authenticate, use its
+   * *buildRequest* function to build requests to the web service
+   * @return {Promise} Promise resolving with the token as an Object with an accessToken property and optionally
+   * an expiresIn property (in seconds) and a refreshToken property
+   */
+  authenticate(client) {
+    return Promise.reject(new Error('authenticate function not implemented'));
+  }
+
+  /**
+   * Gets an identifier of the strategy, used to share tokens between clients using the same strategy.
+   *
+   * Clients using strategies with the same identifier, on the same web service, share the same tokens in token
+   * stores.
+   *
+   * @return {String} The identifier of the strategy
+   */
+  getIdentifier() {
+    return this.constructor.name;
+  }
+
+  /**
+   * Restores the state of the strategy from a token shared through a token store.
+   *
+   * Tokens found in the token store may have been delivered to another client, possibly in another process. By
+   * default strategies have no state to restore.
+   *
+   * @param {Object} token The stored token
+   * @param {String} token.accessToken The access token
+   * @param {Number} [token.expiration] The token expiration date as a timestamp (in ms)
+   * @param {String} [token.refreshToken] The refresh token delivered with the access token
+   */
+  restoreToken(token) {}
+
+  /**
+   * Gets the list of headers authenticating a request.
+   *
+   * @param {String} accessToken The access token
+   * @return {Object} The list of headers to add to all requests sent to the server
+   */
+  getAuthenticationHeaders(accessToken) {
+    return {
+      Authorization: `Bearer ${accessToken}`
+    };
+  }
+
+  /**
+   * Indicates if a web service response means that the access token is invalid or has expired.
+   *
+   * By default web service is expected to return a property *error_description* set to "Token not found or expired"
+   * or "Token already expired".
+   *
+   * @param {Object} result The web service response with an httpCode property
+   * @return {Boolean} true if a new access token should be requested, false otherwise
+   */
+  isTokenExpiredError(result) {
+    return result.error_description === 'Token not found or expired' ||
+      result.error_description === 'Token already expired';
+  }
+
+}
+
+module.exports = AuthenticationStrategy;
@@ -0,0 +1,75 @@
+'use strict';
+
+/**
+ * @module openveo-rest-nodejs-client/authentication/BearerTokenStrategy
+ */
+
+const crypto = require('crypto');
+const AuthenticationStrategy = process.requireRestClient('lib/authentication/AuthenticationStrategy.js');
+
+class BearerTokenStrategy extends AuthenticationStrategy {
+
+  /**
+   * Creates an authentication strategy using a static bearer token.
+   *
+   * The token is never renewed, requests are rejected if the web service considers it has expired.
+   *
+   * @example
+   * const authentication = require('@openveo/rest-nodejs-client').authentication;
+   * client.authenticationStrategy = new authentication.BearerTokenStrategy('access token');
+   *
+   * @class BearerTokenStrategy
+   * @extends module:openveo-rest-nodejs-client/authentication/AuthenticationStrategy~AuthenticationStrategy
+   * @constructor
+   * @param {String} accessToken The access token
+   * @throws {TypeError} Thrown if accessToken is not a valid String
+   */
+  constructor(accessToken) {
+    super();
+
+    if (!accessToken || typeof accessToken !== 'string')
+      throw new TypeError(`Invalid access token : ${accessToken}`);
+
+    Object.defineProperties(this,
+
+      /** @lends module:openveo-rest-nodejs-client/authentication/BearerTokenStrategy~BearerTokenStrategy */
+      {
+
+        /**
+         * The access token.
+         *
+         * @type {String}
+         * @instance
+         * @readonly
+         */
+        accessToken: {value: accessToken}
+
+      }
+
+    );
+  }
+
+  /**
+   * Gets an identifier of the strategy, used to share tokens between clients using the same strategy.
+   *
+   * @return {String} The identifier of the strategy, built from its type and a hash of the access token
+   */
+  getIdentifier() {
+    const hash = crypto.createHash('sha256').update(this.accessToken).digest('hex').slice(0, 16);
+    return `${super.getIdentifier()}:${hash}`;
+  }
+
+  /**
+   * Gets the static access token.
+   *
+   * @async
+   * @param {module:openveo-rest-nodejs-client/RestClient~RestClient} client The client to authenticate
+   * @return {Promise} Promise resolving with the token
+   */
+  authenticate(client) {
+    return Promise.resolve({accessToken: this.accessToken});
+  }
+
+}
+
+module.exports = BearerTokenStrategy;
@@ -0,0 +1,50 @@
+'use strict';
+
+/**
+ * @module openveo-rest-nodejs-client/authentication/ClientCredentialsStrategy
+ */
+
+const OAuthStrategy = process.requireRestClient('lib/authentication/OAuthStrategy.js');
+
+class ClientCredentialsStrategy extends OAuthStrategy {
+
+  /**
+   * Creates an authentication strategy using OAuth client credentials grant.
+   *
+   * This is the strategy used by OpenVeoClient.
+   *
+   * @example
+   * const authentication = require('@openveo/rest-nodejs-client').authentication;
+   * client.authenticationStrategy = new authentication.ClientCredentialsStrategy('client id', 'client secret');
+   *
+   * @class ClientCredentialsStrategy
+   * @extends module:openveo-rest-nodejs-client/authentication/AuthenticationStrategy~AuthenticationStrategy
+   * @constructor
+   * @param {String} clientId Application's client id
+   * @param {String} clientSecret Application's client secret
+   * @param {Object} [options] Strategy options
+   * @param {String} [options.tokenPath="/token"] The path of the token end point on the web service server
+   * @throws {TypeError} Thrown if clientId or clientSecret is not a valid String
+   */
+  constructor(clientId, clientSecret, options) {
+    if (!clientId || typeof clientId !== 'string')
+      throw new TypeError(`Invalid client id : ${clientId}`);
+
+    if (!clientSecret || typeof clientSecret !== 'string')
+      throw new TypeError(`Invalid client secret : ${clientSecret}`);
+
+    super(Object.assign({}, options, {clientId, clientSecret}));
+  }
+
+  /**
+   * Gets the body of the token request.
+   *
+   * @return {Object} The client credentials grant
+   */
+  getGrant() {
+    return {grant_type: 'client_credentials'};
+  }
+
+}
+
+module.exports = ClientCredentialsStrategy;
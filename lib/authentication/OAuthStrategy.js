@@ -0,0 +1,152 @@
+'use strict';
+
+/**
+ * @module openveo-rest-nodejs-client/authentication/OAuthStrategy
+ * @ignore
+ */
+
+const errors = process.requireRestClient('lib/errors/index.js');
+const AuthenticationStrategy = process.requireRestClient('lib/authentication/AuthenticationStrategy.js');
+const AuthenticationError = errors.AuthenticationError;
+const RequestError = errors.RequestError;
+
+class OAuthStrategy extends AuthenticationStrategy {
+
+  /**
+   * Creates an OAuth authentication strategy requesting tokens from a token end point.
+   *
+   * This is an abstract class, strategies must extend it and implement the *getGrant* function.
+   *
+   * @class OAuthStrategy
+   * @ignore
+   * @extends module:openveo-rest-nodejs-client/authentication/AuthenticationStrategy~AuthenticationStrategy
+   * @constructor
+   * @param {Object} [options] Strategy options
+   * @param {String} [options.clientId] Application's client id, if specified with clientSecret, client credentials
+   * are sent using HTTP basic authentication
+   * @param {String} [options.clientSecret] Application's client secret
+   * @param {String} [options.tokenPath="/token"] The path of the token end point on the web service server
+   */
+  constructor(options) {
+    super();
+    options = Object.assign({tokenPath: '/token'}, options);
+
+    if (!options.tokenPath || typeof options.tokenPath !== 'string')
+      throw new TypeError(`Invalid token path : ${options.tokenPath}`);
+
+    Object.defineProperties(this,
+
+      /** @lends module:openveo-rest-nodejs-client/authentication/OAuthStrategy~OAuthStrategy */
+      {
+
+        /**
+         * Application's client id, null if not specified.
+         *
+         * @type {String}
+         * @instance
+         * @readonly
+         */
+        clientId: {value: options.clientId || null},
+
+        /**
+         * Encoded credentials ready for OAuth authentication, null if no credentials.
+         *
+         * @type {String}
+         * @instance
+         * @readonly
+         */
+        credentials: {
+          value: (options.clientId && options.clientSecret) ?
+            Buffer.from(`${options.clientId}:${options.clientSecret}`).toString('base64') :
+            null
+        },
+
+        /**
+         * The path of the token end point on the web service server.
+         *
+         * @type {String}
+         * @instance
+         * @readonly
+         */
+        tokenPath: {value: options.tokenPath}
+
+      }
+
+    );
+  }
+
+  /**
+   * Gets an identifier of the strategy, used to share tokens between clients using the same strategy.
+   *
+   * @return {String} The identifier of the strategy, built from its type and the client id
+   */
+  getIdentifier() {
+    return `${super.getIdentifier()}:${this.clientId || ''}`;
+  }
+
+  /**
+   * Gets the body of the token request.
+   *
+   * @return {Object} The grant parameters
+   */
+  getGrant() {
+    throw new Error('getGrant function not implemented');
+  }
+
+  /**
+   * Requests an access token from the token end point.
+   *
+   * @async
+   * @param {module:openveo-rest-nodejs-client/RestClient~RestClient} client The client to authenticate
+   * @return {Promise} Promise resolving with the token, promise is rejected with an AuthenticationError if the web
+   * service refused to deliver a token, a ServerError if the token end point failed or a NetworkError if the token
+   * end point couldn't be reached
+   */
+  authenticate(client) {
+    const headers = {'Content-Type': 'application/json'};
+    if (this.credentials) headers.Authorization = `Basic ${this.credentials}`;
+
+    const request = client.buildRequest({
+      path: this.tokenPath,
+      method: 'POST',
+      headers
+    }, this.getGrant());
+
+    const details = {method: 'POST', path: this.tokenPath};
+
+    return request.execute().catch((error) => {
+      if (error instanceof RequestError || !error.code) throw error;
+
+      // Token end point couldn't be reached
+      const ErrorType = error.code === 'ETIMEDOUT' ? errors.TimeoutError : errors.NetworkError;
+      throw new ErrorType(error.message, Object.assign({code: error.code, cause: error}, details));
+
+    }).then((result) => {
+      const body = Object.assign({}, result);
+      delete body.httpCode;
+
+      // Token end point failed, a new attempt may succeed
+      if (result.httpCode >= 500) {
+        throw new errors.ServerError(
+          `Token end point responded with HTTP code ${result.httpCode}`,
+          result.httpCode,
+          Object.assign({body}, details)
+        );
+      }
+
+      if (result.error)
+        throw new AuthenticationError(result.error_description, Object.assign({code: result.error, body}, details));
+      else if (!result.access_token)
+        throw new AuthenticationError('Invalid token', Object.assign({body}, details));
+
+      return {
+        accessToken: result.access_token,
+        expiresIn: result.expires_in,
+        refreshToken: result.refresh_token
+      };
+    });
+  }
+
+}
+
+module.exports = OAuthStrategy;
@@ -0,0 +1,97 @@
+'use strict';
+
+/**
+ * @module openveo-rest-nodejs-client/authentication/RefreshTokenStrategy
+ */
+
+const OAuthStrategy = process.requireRestClient('lib/authentication/OAuthStrategy.js');
+
+class RefreshTokenStrategy extends OAuthStrategy {
+
+  /**
+   * Creates an authentication strategy using OAuth refresh token grant.
+   *
+   * Each authentication exchanges the refresh token for a new access token. If the web service delivers a new
+   * refresh token, it replaces the previous one.
+   *
+   * @example
+   * const authentication = require('@openveo/rest-nodejs-client').authentication;
+   * client.authenticationStrategy = new authentication.RefreshTokenStrategy('refresh token', {
+   *   clientId: 'client id',
+   *   clientSecret: 'client secret'
+   * });
+   *
+   * @class RefreshTokenStrategy
+   * @extends module:openveo-rest-nodejs-client/authentication/AuthenticationStrategy~AuthenticationStrategy
+   * @constructor
+   * @param {String} refreshToken The refresh token
+   * @param {Object} [options] Strategy options
+   * @param {String} [options.clientId] Application's client id
+   * @param {String} [options.clientSecret] Application's client secret
+   * @param {String} [options.tokenPath="/token"] The path of the token end point on the web service server
+   * @throws {TypeError} Thrown if refreshToken is not a valid String
+   */
+  constructor(refreshToken, options) {
+    if (!refreshToken || typeof refreshToken !== 'string')
+      throw new TypeError(`Invalid refresh token : ${refreshToken}`);
+
+    super(options);
+
+    Object.defineProperties(this,
+
+      /** @lends module:openveo-rest-nodejs-client/authentication/RefreshTokenStrategy~RefreshTokenStrategy */
+      {
+
+        /**
+         * The refresh token, updated each time the web service delivers a new one.
+         *
+         * @type {String}
+         * @instance
+         */
+        refreshToken: {value: refreshToken, writable: true}
+
+      }
+
+    );
+  }
+
+  /**
+   * Gets the body of the token request.
+   *
+   * @return {Object} The refresh token grant
+   */
+  getGrant() {
+    return {grant_type: 'refresh_token', refresh_token: this.refreshToken};
+  }
+
+  /**
+   * Uses the refresh token of a stored token.
+   *
+   * With rotating refresh tokens, only the last delivered refresh token is valid, it may have been delivered to
+   * another client sharing the token store.
+   *
+   * @param {Object} token The stored token
+   * @param {String} [token.refreshToken] The refresh token delivered with the access token
+   */
+  restoreToken(token) {
+    if (token.refreshToken) this.refreshToken = token.refreshToken;
+  }
+
+  /**
+   * Exchanges the refresh token for a new access token.
+   *
+   * @async
+   * @param {module:openveo-rest-nodejs-client/RestClient~RestClient} client The client to authenticate
+   * @return {Promise} Promise resolving with the token, promise is rejected with an AuthenticationError if the web
+   * service refused to deliver a token
+   */
+  authenticate(client) {
+    return super.authenticate(client).then((token) => {
+      if (token.refreshToken) this.refreshToken = token.refreshToken;
+      return token;
+    });
+  }
+
+}
+
+module.exports = RefreshTokenStrategy;
@@ -0,0 +1,88 @@
+'use strict';
+
+/**
+ * @module openveo-rest-nodejs-client/authentication/TokenProviderStrategy
+ */
+
+const errors = process.requireRestClient('lib/errors/index.js');
+const AuthenticationStrategy = process.requireRestClient('lib/authentication/AuthenticationStrategy.js');
+const AuthenticationError = errors.AuthenticationError;
+
+class TokenProviderStrategy extends AuthenticationStrategy {
+
+  /**
+   * Creates an authentication strategy getting access tokens from a user supplied function.
+   *
+   * The provider is called each time the client needs a new access token.
+   *
+   * Clients using different providers on the same web service and sharing a token store must use different token
+   * store keys (see tokenStoreKey property of RestClient).
+   *
+   * @example
+   * const authentication = require('@openveo/rest-nodejs-client').authentication;
+   * client.authenticationStrategy = new authentication.TokenProviderStrategy(async () => {
+   *   const token = await vault.read('openveo/token');
+   *   return {accessToken: token.value, expiresIn: token.ttl};
+   * });
+   *
+   * @class TokenProviderStrategy
+   * @extends module:openveo-rest-nodejs-client/authentication/AuthenticationStrategy~AuthenticationStrategy
+   * @constructor
+   * @param {module:openveo-rest-nodejs-client/authentication/TokenProviderStrategy~TokenProviderStrategy~provider}
+   * provider The function providing access tokens
+   * @throws {TypeError} Thrown if provider is not a Function
+   */
+  constructor(provider) {
+    super();
+
+    if (typeof provider !== 'function')
+      throw new TypeError(`Invalid token provider : ${provider}`);
+
+    Object.defineProperties(this,
+
+      /** @lends module:openveo-rest-nodejs-client/authentication/TokenProviderStrategy~TokenProviderStrategy */
+      {
+
+        /**
+         * The function providing access tokens.
+         *
+         * @type {module:openveo-rest-nodejs-client/authentication/TokenProviderStrategy~TokenProviderStrategy~provider}
+         * @instance
+         * @readonly
+         */
+        provider: {value: provider}
+
+      }
+
+    );
+  }
+
+  /**
+   * Gets an access token from the provider.
+   *
+   * @async
+   * @param {module:openveo-rest-nodejs-client/RestClient~RestClient} client The client to authenticate
+   * @return {Promise} Promise resolving with the token, promise is rejected with an AuthenticationError if provider
+   * didn't provide a token or with the error of the provider if it failed, even synchronously
+   */
+  authenticate(client) {
+    return Promise.resolve().then(() => this.provider(client)).then((token) => {
+      if (typeof token === 'string') token = {accessToken: token};
+
+      if (!token || !token.accessToken)
+        throw new AuthenticationError('Invalid token');
+
+      return token;
+    });
+  }
+
+}
+
+/**
+ * @callback module:openveo-rest-nodejs-client/authentication/TokenProviderStrategy~TokenProviderStrategy~provider
+ * @param {module:openveo-rest-nodejs-client/RestClient~RestClient} client The client requesting a token
+ * @return {(String|Object|Promise)} The access token, an Object with an accessToken property and optionally an
+ * expiresIn property (in seconds) or a Promise resolving with one of them
+ */
+
+module.exports = TokenProviderStrategy;
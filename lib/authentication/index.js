@@ -0,0 +1,27 @@
+'use strict';
+
+/**
+ * Exposes the list of authentication strategies.
+ *
+ * @module openveo-rest-nodejs-client/authentication
+ * @property {module:openveo-rest-nodejs-client/authentication/AuthenticationStrategy} AuthenticationStrategy
+ * AuthenticationStrategy module
+ * @property {module:openveo-rest-nodejs-client/authentication/BearerTokenStrategy} BearerTokenStrategy
+ * BearerTokenStrategy module
+ * @property {module:openveo-rest-nodejs-client/authentication/ClientCredentialsStrategy} ClientCredentialsStrategy
+ * ClientCredentialsStrategy module
+ * @property {module:openveo-rest-nodejs-client/authentication/RefreshTokenStrategy} RefreshTokenStrategy
+ * RefreshTokenStrategy module
+ * @property {module:openveo-rest-nodejs-client/authentication/TokenProviderStrategy} TokenProviderStrategy
+ * TokenProviderStrategy module
+ */
+
+module.exports.AuthenticationStrategy = process.requireRestClient(
+  'lib/authentication/AuthenticationStrategy.js'
+);
+module.exports.BearerTokenStrategy = process.requireRestClient('lib/authentication/BearerTokenStrategy.js');
+module.exports.ClientCredentialsStrategy = process.requireRestClient(
+  'lib/authentication/ClientCredentialsStrategy.js'
+);
+module.exports.RefreshTokenStrategy = process.requireRestClient('lib/authentication/RefreshTokenStrategy.js');
+module.exports.TokenProviderStrategy = process.requireRestClient('lib/authentication/TokenProviderStrategy.js');
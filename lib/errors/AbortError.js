@@ -0,0 +1,63 @@
+'use strict';
+
+/**
+ * @module openveo-rest-nodejs-client/errors/AbortError
+ * @ignore
+ */
+
+class AbortError extends Error {
+
+  /**
+   * Creates an abort error.
+   *
+   * Abort errors are thrown when a request has been cancelled using an AbortSignal.
+   *
+   * @class AbortError
+   * @ignore
+   * @extends Error
+   * @constructor
+   * @param {String} [message="The request has been aborted"] The error message
+   */
+  constructor(message) {
+    message = message || 'The request has been aborted';
+    super(message);
+    Error.captureStackTrace(this, this.constructor);
+
+    Object.defineProperties(this,
+
+      /** @lends module:openveo-rest-nodejs-client/AbortError~AbortError */
+      {
+
+        /**
+         * Error code, the same as the one used by NodeJS for aborted operations.
+         *
+         * @type {String}
+         * @readonly
+         * @instance
+         */
+        code: {value: 'ABORT_ERR'},
+
+        /**
+         * Error message.
+         *
+         * @type {String}
+         * @instance
+         */
+        message: {value: message, writable: true},
+
+        /**
+         * Error name.
+         *
+         * @type {String}
+         * @instance
+         */
+        name: {value: 'AbortError', writable: true}
+
+      }
+
+    );
+  }
+
+}
+
+module.exports = AbortError;
@@ -20,9 +20,10 @@ class AuthenticationError extends RequestError {
    * @extends module:openveo-rest-nodejs-client/errors/RequestError~RequestError
    * @constructor
    * @param {String} message The error message
+   * @param {Object} [details] Details about the failed request, see RequestError
    */
-  constructor(message) {
-    super(message, 401);
+  constructor(message, details) {
+    super(message, 401, details);
   }
 
 }
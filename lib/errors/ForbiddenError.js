@@ -0,0 +1,33 @@
+'use strict';
+
+/**
+ * @module openveo-rest-nodejs-client/errors/ForbiddenError
+ * @ignore
+ */
+
+const errors = process.requireRestClient('lib/errors/index.js');
+const RequestError = errors.RequestError;
+
+class ForbiddenError extends RequestError {
+
+  /**
+   * Creates a forbidden request error.
+   *
+   * Forbidden errors are thrown when the client is not allowed to access an end point.
+   *
+   * @class ForbiddenError
+   * @ignore
+   * @extends module:openveo-rest-nodejs-client/errors/RequestError~RequestError
+   * @constructor
+   * @param {String} message The error message
+   * @param {Number} [httpCode=403] The HTTP error code
+   * @param {Object} [details] Details about the failed request, see RequestError
+   */
+  constructor(message, httpCode, details) {
+    super(message, httpCode || 403, details);
+    this.name = 'ForbiddenError';
+  }
+
+}
+
+module.exports = ForbiddenError;
@@ -0,0 +1,34 @@
+'use strict';
+
+/**
+ * @module openveo-rest-nodejs-client/errors/NetworkError
+ * @ignore
+ */
+
+const errors = process.requireRestClient('lib/errors/index.js');
+const RequestError = errors.RequestError;
+
+class NetworkError extends RequestError {
+
+  /**
+   * Creates a network request error.
+   *
+   * Network errors are thrown when a request failed before receiving a response from the web service (connection
+   * refused, connection reset, DNS failure and so on). The transfer error is available as the cause and its code as
+   * the error code.
+   *
+   * @class NetworkError
+   * @ignore
+   * @extends module:openveo-rest-nodejs-client/errors/RequestError~RequestError
+   * @constructor
+   * @param {String} message The error message
+   * @param {Object} [details] Details about the failed request, see RequestError
+   */
+  constructor(message, details) {
+    super(message, undefined, details);
+    this.name = 'NetworkError';
+  }
+
+}
+
+module.exports = NetworkError;
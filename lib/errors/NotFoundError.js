@@ -0,0 +1,33 @@
+'use strict';
+
+/**
+ * @module openveo-rest-nodejs-client/errors/NotFoundError
+ * @ignore
+ */
+
+const errors = process.requireRestClient('lib/errors/index.js');
+const RequestError = errors.RequestError;
+
+class NotFoundError extends RequestError {
+
+  /**
+   * Creates a not found request error.
+   *
+   * Not found errors are thrown when the requested resource doesn't exist on the web service.
+   *
+   * @class NotFoundError
+   * @ignore
+   * @extends module:openveo-rest-nodejs-client/errors/RequestError~RequestError
+   * @constructor
+   * @param {String} message The error message
+   * @param {Number} [httpCode=404] The HTTP error code
+   * @param {Object} [details] Details about the failed request, see RequestError
+   */
+  constructor(message, httpCode, details) {
+    super(message, httpCode || 404, details);
+    this.name = 'NotFoundError';
+  }
+
+}
+
+module.exports = NotFoundError;
@@ -10,7 +10,9 @@ class RequestError extends Error {
   /**
    * Creates a request error with a message and http code.
    *
-   * Request errors are thrown when a request to the Web Service failed.
+   * Request errors are thrown when a request to the Web Service failed. More specific errors extend RequestError
+   * depending on the cause of the failure (NotFoundError, ForbiddenError, UnauthorizedError, ValidationError,
+   * ServerError, TimeoutError and NetworkError).
    *
    * @class RequestError
    * @ignore
@@ -18,10 +20,18 @@ class RequestError extends Error {
    * @constructor
    * @param {String} message The error message
    * @param {Number} httpCode The HTTP error code
+   * @param {Object} [details] Details about the failed request
+   * @param {(Number|String)} [details.code] The error code returned by the web service or the transfer error code
+   * @param {String} [details.module] The web service module which returned the error
+   * @param {String} [details.method] The HTTP method of the request
+   * @param {String} [details.path] The path of the request, with query parameters
+   * @param {*} [details.body] The response body
+   * @param {Error} [details.cause] The underlying error
    */
-  constructor(message, httpCode) {
+  constructor(message, httpCode, details) {
     super(message);
     Error.captureStackTrace(this, this.constructor);
+    details = details || {};
 
     Object.defineProperties(this,
 
@@ -37,6 +47,61 @@ class RequestError extends Error {
          */
         httpCode: {value: httpCode},
 
+        /**
+         * The error code returned by the web service (e.g. OpenVeo error code) or the transfer error code (e.g.
+         * ECONNRESET).
+         *
+         * @type {(Number|String)}
+         * @readonly
+         * @instance
+         */
+        code: {value: details.code},
+
+        /**
+         * The web service module which returned the error.
+         *
+         * @type {String}
+         * @readonly
+         * @instance
+         */
+        module: {value: details.module},
+
+        /**
+         * The HTTP method of the failed request.
+         *
+         * @type {String}
+         * @readonly
+         * @instance
+         */
+        method: {value: details.method},
+
+        /**
+         * The path of the failed request, with query parameters.
+         *
+         * @type {String}
+         * @readonly
+         * @instance
+         */
+        path: {value: details.path},
+
+        /**
+         * The response body, if any.
+         *
+         * @type {*}
+         * @readonly
+         * @instance
+         */
+        body: {value: details.body},
+
+        /**
+         * The underlying error, if any.
+         *
+         * @type {Error}
+         * @readonly
+         * @instance
+         */
+        cause: {value: details.cause},
+
         /**
          * Error message.
          *
@@ -0,0 +1,34 @@
+'use strict';
+
+/**
+ * @module openveo-rest-nodejs-client/errors/ServerError
+ * @ignore
+ */
+
+const errors = process.requireRestClient('lib/errors/index.js');
+const RequestError = errors.RequestError;
+
+class ServerError extends RequestError {
+
+  /**
+   * Creates a server request error.
+   *
+   * Server errors are thrown when the web service failed to process the request (HTTP code of 500 or more) or
+   * responded with an invalid response.
+   *
+   * @class ServerError
+   * @ignore
+   * @extends module:openveo-rest-nodejs-client/errors/RequestError~RequestError
+   * @constructor
+   * @param {String} message The error message
+   * @param {Number} [httpCode=500] The HTTP error code
+   * @param {Object} [details] Details about the failed request, see RequestError
+   */
+  constructor(message, httpCode, details) {
+    super(message, httpCode || 500, details);
+    this.name = 'ServerError';
+  }
+
+}
+
+module.exports = ServerError;
@@ -0,0 +1,32 @@
+'use strict';
+
+/**
+ * @module openveo-rest-nodejs-client/errors/TimeoutError
+ * @ignore
+ */
+
+const errors = process.requireRestClient('lib/errors/index.js');
+const NetworkError = errors.NetworkError;
+
+class TimeoutError extends NetworkError {
+
+  /**
+   * Creates a timeout request error.
+   *
+   * Timeout errors are thrown when the web service didn't respond before the request timeout expired.
+   *
+   * @class TimeoutError
+   * @ignore
+   * @extends module:openveo-rest-nodejs-client/errors/NetworkError~NetworkError
+   * @constructor
+   * @param {String} message The error message
+   * @param {Object} [details] Details about the failed request, see RequestError
+   */
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'TimeoutError';
+  }
+
+}
+
+module.exports = TimeoutError;
@@ -0,0 +1,34 @@
+'use strict';
+
+/**
+ * @module openveo-rest-nodejs-client/errors/UnauthorizedError
+ * @ignore
+ */
+
+const errors = process.requireRestClient('lib/errors/index.js');
+const RequestError = errors.RequestError;
+
+class UnauthorizedError extends RequestError {
+
+  /**
+   * Creates an unauthorized request error.
+   *
+   * Unauthorized errors are thrown when the web service rejected the request because the client is not
+   * authenticated, even after a new authentication.
+   *
+   * @class UnauthorizedError
+   * @ignore
+   * @extends module:openveo-rest-nodejs-client/errors/RequestError~RequestError
+   * @constructor
+   * @param {String} message The error message
+   * @param {Number} [httpCode=401] The HTTP error code
+   * @param {Object} [details] Details about the failed request, see RequestError
+   */
+  constructor(message, httpCode, details) {
+    super(message, httpCode || 401, details);
+    this.name = 'UnauthorizedError';
+  }
+
+}
+
+module.exports = UnauthorizedError;
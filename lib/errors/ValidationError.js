@@ -0,0 +1,33 @@
+'use strict';
+
+/**
+ * @module openveo-rest-nodejs-client/errors/ValidationError
+ * @ignore
+ */
+
+const errors = process.requireRestClient('lib/errors/index.js');
+const RequestError = errors.RequestError;
+
+class ValidationError extends RequestError {
+
+  /**
+   * Creates a validation request error.
+   *
+   * Validation errors are thrown when the web service rejected the parameters of a request.
+   *
+   * @class ValidationError
+   * @ignore
+   * @extends module:openveo-rest-nodejs-client/errors/RequestError~RequestError
+   * @constructor
+   * @param {String} message The error message
+   * @param {Number} [httpCode=400] The HTTP error code
+   * @param {Object} [details] Details about the failed request, see RequestError
+   */
+  constructor(message, httpCode, details) {
+    super(message, httpCode || 400, details);
+    this.name = 'ValidationError';
+  }
+
+}
+
+module.exports = ValidationError;
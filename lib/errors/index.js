@@ -8,7 +8,24 @@
  * @property {module:openveo-rest-nodejs-client/errors/RequestError} RequestError RequestError module
  * @property {module:openveo-rest-nodejs-client/errors/AuthenticationError} AuthenticationError AuthenticationError
  * module
+ * @property {module:openveo-rest-nodejs-client/errors/AbortError} AbortError AbortError module
+ * @property {module:openveo-rest-nodejs-client/errors/NotFoundError} NotFoundError NotFoundError module
+ * @property {module:openveo-rest-nodejs-client/errors/ForbiddenError} ForbiddenError ForbiddenError module
+ * @property {module:openveo-rest-nodejs-client/errors/ValidationError} ValidationError ValidationError module
+ * @property {module:openveo-rest-nodejs-client/errors/UnauthorizedError} UnauthorizedError UnauthorizedError
+ * module
+ * @property {module:openveo-rest-nodejs-client/errors/ServerError} ServerError ServerError module
+ * @property {module:openveo-rest-nodejs-client/errors/NetworkError} NetworkError NetworkError module
+ * @property {module:openveo-rest-nodejs-client/errors/TimeoutError} TimeoutError TimeoutError module
  */
 
 module.exports.RequestError = process.requireRestClient('lib/errors/RequestError.js');
 module.exports.AuthenticationError = process.requireRestClient('lib/errors/AuthenticationError.js');
+module.exports.AbortError = process.requireRestClient('lib/errors/AbortError.js');
+module.exports.NotFoundError = process.requireRestClient('lib/errors/NotFoundError.js');
+module.exports.ForbiddenError = process.requireRestClient('lib/errors/ForbiddenError.js');
+module.exports.ValidationError = process.requireRestClient('lib/errors/ValidationError.js');
+module.exports.UnauthorizedError = process.requireRestClient('lib/errors/UnauthorizedError.js');
+module.exports.ServerError = process.requireRestClient('lib/errors/ServerError.js');
+module.exports.NetworkError = process.requireRestClient('lib/errors/NetworkError.js');
+module.exports.TimeoutError = process.requireRestClient('lib/errors/TimeoutError.js');
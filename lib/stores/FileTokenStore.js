@@ -0,0 +1,285 @@
+'use strict';
+
+/**
+ * @module openveo-rest-nodejs-client/stores/FileTokenStore
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+const timers = require('timers');
+const TokenStore = process.requireRestClient('lib/stores/TokenStore.js');
+
+class FileTokenStore extends TokenStore {
+
+  /**
+   * Creates a store keeping tokens in a JSON file.
+   *
+   * Tokens are shared by all processes using the same file. The file is only readable and writable by its owner and
+   * is written atomically. A lock file (the same file path suffixed by ".lock") guarantees that only one process
+   * requests a new token at a time. The lock file is touched regularly while held, thus a lock is considered
+   * abandoned only if its owner stopped touching it for lockStaleTimeout, and is removed only by its owner.
+   *
+   * @example
+   * const stores = require('@openveo/rest-nodejs-client').stores;
+   * client.tokenStore = new stores.FileTokenStore('/home/user/.openveo/tokens.json');
+   *
+   * @class FileTokenStore
+   * @extends module:openveo-rest-nodejs-client/stores/TokenStore~TokenStore
+   * @constructor
+   * @param {String} filePath The absolute path of the file holding the tokens
+   * @param {Object} [options] Store options
+   * @param {Number} [options.mode=0o600] The permissions of the file
+   * @param {Number} [options.lockTimeout=90000] Maximum time to wait for a lock (in ms)
+   * @param {Number} [options.lockStaleTimeout=60000] Time after which a lock not touched by its owner is considered
+   * abandoned and can be removed (in ms), it should be longer than the longest token request with its retries (four
+   * attempts of 10 seconds with the default retry policy)
+   * @param {Number} [options.lockRetryDelay=50] Delay between two attempts to get a lock (in ms)
+   * @throws {TypeError} Thrown if filePath is not a valid String
+   */
+  constructor(filePath, options) {
+    super();
+
+    if (!filePath || typeof filePath !== 'string')
+      throw new TypeError(`Invalid file path : ${filePath}`);
+
+    options = Object.assign({
+      mode: 0o600,
+      lockTimeout: 90000,
+      lockStaleTimeout: 60000,
+      lockRetryDelay: 50
+    }, options);
+
+    Object.defineProperties(this,
+
+      /** @lends module:openveo-rest-nodejs-client/stores/FileTokenStore~FileTokenStore */
+      {
+
+        /**
+         * The absolute path of the file holding the tokens.
+         *
+         * @type {String}
+         * @instance
+         * @readonly
+         */
+        filePath: {value: path.resolve(filePath)},
+
+        /**
+         * The absolute path of the lock file.
+         *
+         * @type {String}
+         * @instance
+         * @readonly
+         */
+        lockFilePath: {value: `${path.resolve(filePath)}.lock`},
+
+        /**
+         * The permissions of the file.
+         *
+         * @type {Number}
+         * @default 0o600
+         * @instance
+         * @readonly
+         */
+        mode: {value: options.mode},
+
+        /**
+         * Maximum time to wait for a lock (in ms).
+         *
+         * @type {Number}
+         * @default 90000
+         * @instance
+         * @readonly
+         */
+        lockTimeout: {value: options.lockTimeout},
+
+        /**
+         * Time after which a lock not touched by its owner is considered abandoned (in ms).
+         *
+         * @type {Number}
+         * @default 60000
+         * @instance
+         * @readonly
+         */
+        lockStaleTimeout: {value: options.lockStaleTimeout},
+
+        /**
+         * Delay between two attempts to get a lock (in ms).
+         *
+         * @type {Number}
+         * @default 50
+         * @instance
+         * @readonly
+         */
+        lockRetryDelay: {value: options.lockRetryDelay}
+
+      }
+
+    );
+  }
+
+  /**
+   * Reads all tokens from the file.
+   *
+   * @async
+   * @ignore
+   * @return {Promise} Promise resolving with tokens by keys
+   */
+  readTokens() {
+    return fs.promises.readFile(this.filePath, 'utf8').then((content) => {
+      const tokens = JSON.parse(content);
+      return (tokens && typeof tokens === 'object') ? tokens : {};
+    }).catch((error) => {
+
+      // File doesn't exist yet or has been corrupted, it will be replaced
+      if (error.code === 'ENOENT' || error instanceof SyntaxError) return {};
+      throw error;
+
+    });
+  }
+
+  /**
+   * Writes all tokens into the file.
+   *
+   * Tokens are written in a temporary file which then replaces the file, so readers never read a partial file.
+   *
+   * @async
+   * @ignore
+   * @param {Object} tokens Tokens by keys
+   * @return {Promise} Promise resolving when tokens have been written
+   */
+  writeTokens(tokens) {
+    const temporaryFilePath = `${this.filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+    return fs.promises.mkdir(path.dirname(this.filePath), {recursive: true, mode: 0o700}).then(() => {
+      return fs.promises.writeFile(temporaryFilePath, JSON.stringify(tokens), {mode: this.mode});
+    }).then(() => {
+      return fs.promises.chmod(temporaryFilePath, this.mode);
+    }).then(() => {
+      return fs.promises.rename(temporaryFilePath, this.filePath);
+    });
+  }
+
+  /**
+   * Acquires the lock file.
+   *
+   * The lock file holds an id identifying its owner. While held, the lock file is touched every quarter of
+   * lockStaleTimeout. When released, the lock file is removed only if it still belongs to the owner, as another
+   * process may have considered it abandoned.
+   *
+   * @async
+   * @ignore
+   * @return {Promise} Promise resolving with a function to call to release the lock, promise is rejected if lock
+   * couldn't be acquired in time
+   */
+  acquireLock() {
+    const startTime = Date.now();
+    const owner = `${process.pid}.${crypto.randomBytes(8).toString('hex')}`;
+    const isOwner = () => fs.promises.readFile(this.lockFilePath, 'utf8').then((content) => content === owner);
+
+    const tryLock = () => {
+      return fs.promises.mkdir(path.dirname(this.lockFilePath), {recursive: true, mode: 0o700}).then(() => {
+        return fs.promises.writeFile(this.lockFilePath, owner, {flag: 'wx', mode: this.mode});
+      }).then(() => {
+        let released = false;
+
+        // Touch the lock so other processes don't consider it abandoned while the token is requested
+        const touchInterval = timers.setInterval(() => {
+          isOwner().then((owned) => {
+            const now = new Date();
+            return owned && fs.promises.utimes(this.lockFilePath, now, now);
+          }).catch(() => {});
+        }, this.lockStaleTimeout / 4);
+        touchInterval.unref();
+
+        return () => {
+          if (released) return Promise.resolve();
+          released = true;
+          timers.clearInterval(touchInterval);
+          return isOwner().then((owned) => owned && fs.promises.unlink(this.lockFilePath)).catch(() => {});
+        };
+      }).catch((error) => {
+        if (error.code !== 'EEXIST') throw error;
+
+        return fs.promises.stat(this.lockFilePath).then((stats) => {
+
+          // Lock owner probably died without releasing the lock
+          if (Date.now() - stats.mtimeMs > this.lockStaleTimeout)
+            return fs.promises.unlink(this.lockFilePath).catch(() => {});
+
+          if (Date.now() - startTime > this.lockTimeout)
+            throw new Error(`Lock ${this.lockFilePath} couldn't be acquired`);
+
+          return new Promise((resolve) => timers.setTimeout(resolve, this.lockRetryDelay));
+        }).catch((statError) => {
+
+          // Lock has been released meanwhile
+          if (statError.code !== 'ENOENT') throw statError;
+
+        }).then(tryLock);
+      });
+    };
+
+    return tryLock();
+  }
+
+  /**
+   * Gets a token from the store.
+   *
+   * @async
+   * @param {String} key The key of the token
+   * @return {Promise} Promise resolving with the token or null if not found
+   */
+  get(key) {
+    return this.readTokens().then((tokens) => tokens[key] || null);
+  }
+
+  /**
+   * Stores a token.
+   *
+   * The whole file is rewritten, the lock should be held to prevent concurrent modifications by other processes.
+   *
+   * @async
+   * @param {String} key The key of the token
+   * @param {Object} token The token to store
+   * @return {Promise} Promise resolving when token has been stored
+   */
+  set(key, token) {
+    return this.readTokens().then((tokens) => {
+      tokens[key] = token;
+      return this.writeTokens(tokens);
+    });
+  }
+
+  /**
+   * Removes a token from the store.
+   *
+   * The whole file is rewritten, the lock should be held to prevent concurrent modifications by other processes.
+   *
+   * @async
+   * @param {String} key The key of the token
+   * @return {Promise} Promise resolving when token has been removed
+   */
+  delete(key) {
+    return this.readTokens().then((tokens) => {
+      delete tokens[key];
+      return this.writeTokens(tokens);
+    });
+  }
+
+  /**
+   * Locks the tokens file for exclusive access.
+   *
+   * The whole file is locked, whatever the key.
+   *
+   * @async
+   * @param {String} key The key of the token
+   * @return {Promise} Promise resolving with a function to call to release the lock
+   */
+  lock(key) {
+    return this.acquireLock();
+  }
+
+}
+
+module.exports = FileTokenStore;
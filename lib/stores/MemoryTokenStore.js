@@ -0,0 +1,118 @@
+'use strict';
+
+/**
+ * @module openveo-rest-nodejs-client/stores/MemoryTokenStore
+ */
+
+const TokenStore = process.requireRestClient('lib/stores/TokenStore.js');
+
+class MemoryTokenStore extends TokenStore {
+
+  /**
+   * Creates a store keeping tokens in memory.
+   *
+   * Tokens are shared by all clients using the same store in the current process.
+   *
+   * @example
+   * const stores = require('@openveo/rest-nodejs-client').stores;
+   * const store = new stores.MemoryTokenStore();
+   * client1.tokenStore = store;
+   * client2.tokenStore = store;
+   *
+   * @class MemoryTokenStore
+   * @extends module:openveo-rest-nodejs-client/stores/TokenStore~TokenStore
+   * @constructor
+   */
+  constructor() {
+    super();
+
+    Object.defineProperties(this,
+
+      /** @lends module:openveo-rest-nodejs-client/stores/MemoryTokenStore~MemoryTokenStore */
+      {
+
+        /**
+         * The stored tokens by keys.
+         *
+         * @type {Map}
+         * @instance
+         * @readonly
+         */
+        tokens: {value: new Map()},
+
+        /**
+         * The locks in progress by keys.
+         *
+         * @type {Map}
+         * @instance
+         * @readonly
+         */
+        locks: {value: new Map()}
+
+      }
+
+    );
+  }
+
+  /**
+   * Gets a token from the store.
+   *
+   * @async
+   * @param {String} key The key of the token
+   * @return {Promise} Promise resolving with the token or null if not found
+   */
+  get(key) {
+    const token = this.tokens.get(key);
+    return Promise.resolve(token ? Object.assign({}, token) : null);
+  }
+
+  /**
+   * Stores a token.
+   *
+   * @async
+   * @param {String} key The key of the token
+   * @param {Object} token The token to store
+   * @return {Promise} Promise resolving when token has been stored
+   */
+  set(key, token) {
+    this.tokens.set(key, Object.assign({}, token));
+    return Promise.resolve();
+  }
+
+  /**
+   * Removes a token from the store.
+   *
+   * @async
+   * @param {String} key The key of the token
+   * @return {Promise} Promise resolving when token has been removed
+   */
+  delete(key) {
+    this.tokens.delete(key);
+    return Promise.resolve();
+  }
+
+  /**
+   * Locks a token for exclusive access.
+   *
+   * Locks are granted in the order they have been requested.
+   *
+   * @async
+   * @param {String} key The key of the token
+   * @return {Promise} Promise resolving with a function to call to release the lock
+   */
+  lock(key) {
+    const previousLock = this.locks.get(key) || Promise.resolve();
+    let release;
+    const lock = new Promise((resolve) => release = resolve);
+    const currentLock = previousLock.then(() => lock);
+    this.locks.set(key, currentLock);
+
+    return previousLock.then(() => () => {
+      if (this.locks.get(key) === currentLock) this.locks.delete(key);
+      release();
+    });
+  }
+
+}
+
+module.exports = MemoryTokenStore;
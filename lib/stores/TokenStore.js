@@ -0,0 +1,93 @@
+'use strict';
+
+/**
+ * @module openveo-rest-nodejs-client/stores/TokenStore
+ */
+
+class TokenStore {
+
+  /**
+   * Creates a token store.
+   *
+   * A token store keeps access tokens so they can be reused by other clients, possibly in other processes, as long
+   * as they are valid. This is an abstract class, stores must extend it and implement *get*, *set* and *delete*
+   * functions. Stores shared by several processes should also implement the *lock* function.
+   *
+   * @example
+   * class RedisTokenStore extends TokenStore {
+   *   get(key) {
+   *     return redis.get(key).then((token) => token ? JSON.parse(token) : null);
+   *   }
+   *
+   *   set(key, token) {
+   *     return redis.set(key, JSON.stringify(token));
+   *   }
+   *
+   *   delete(key) {
+   *     return redis.del(key);
+   *   }
+   * }
+   *
+   * @class TokenStore
+   * @constructor
+   */
+  constructor() {
+    if (this.constructor === TokenStore)
+      throw new TypeError('TokenStore is an abstract class and can\'t be instantiated');
+  }
+
+  /**
+   * Gets a token from the store.
+   *
+   * @async
+   * @param {String} key The key of the token
+   * @return {Promise} Promise resolving with the token, an Object with an accessToken property and optional
+   * expiration (timestamp in ms) and refreshToken properties, or null if not found
+   */
+  get(key) {
+    return Promise.reject(new Error('get function not implemented'));
+  }
+
+  /**
+   * Stores a token.
+   *
+   * @async
+   * @param {String} key The key of the token
+   * @param {Object} token The token to store
+   * @param {String} token.accessToken The access token
+   * @param {Number} [token.expiration] The token expiration date as a timestamp (in ms)
+   * @param {String} [token.refreshToken] The refresh token to use to get the next access token
+   * @return {Promise} Promise resolving when token has been stored
+   */
+  set(key, token) {
+    return Promise.reject(new Error('set function not implemented'));
+  }
+
+  /**
+   * Removes a token from the store.
+   *
+   * @async
+   * @param {String} key The key of the token
+   * @return {Promise} Promise resolving when token has been removed
+   */
+  delete(key) {
+    return Promise.reject(new Error('delete function not implemented'));
+  }
+
+  /**
+   * Locks a token for exclusive access.
+   *
+   * Client locks the token while checking the store and requesting a new token, so only one client requests a new
+   * token at a time. By default no lock is made.
+   *
+   * @async
+   * @param {String} key The key of the token
+   * @return {Promise} Promise resolving with a function to call to release the lock
+   */
+  lock(key) {
+    return Promise.resolve(() => {});
+  }
+
+}
+
+module.exports = TokenStore;
@@ -0,0 +1,14 @@
+'use strict';
+
+/**
+ * Exposes the list of token stores.
+ *
+ * @module openveo-rest-nodejs-client/stores
+ * @property {module:openveo-rest-nodejs-client/stores/FileTokenStore} FileTokenStore FileTokenStore module
+ * @property {module:openveo-rest-nodejs-client/stores/MemoryTokenStore} MemoryTokenStore MemoryTokenStore module
+ * @property {module:openveo-rest-nodejs-client/stores/TokenStore} TokenStore TokenStore module
+ */
+
+module.exports.FileTokenStore = process.requireRestClient('lib/stores/FileTokenStore.js');
+module.exports.MemoryTokenStore = process.requireRestClient('lib/stores/MemoryTokenStore.js');
+module.exports.TokenStore = process.requireRestClient('lib/stores/TokenStore.js');
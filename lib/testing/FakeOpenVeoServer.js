@@ -0,0 +1,510 @@
+'use strict';
+
+/**
+ * @module openveo-rest-nodejs-client/testing/FakeOpenVeoServer
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const timers = require('timers');
+
+/**
+ * Parses the body of a request.
+ *
+ * @private
+ * @param {Buffer} body The raw body
+ * @param {String} [contentType] The Content-Type header of the request
+ * @return {(Object|String|Undefined)} The body parsed from JSON if possible, the body as a String otherwise,
+ * undefined if empty
+ */
+function parseBody(body, contentType) {
+  if (!body.length) return undefined;
+
+  const text = body.toString('utf8');
+  if (!contentType || !contentType.includes('application/json')) return text;
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+/**
+ * Parses the query string of a request.
+ *
+ * Parameters present several times or suffixed by "[]" are gathered in an Array.
+ *
+ * @private
+ * @param {URLSearchParams} searchParams The query parameters
+ * @return {Object} The query parameters by names
+ */
+function parseQuery(searchParams) {
+  const query = {};
+
+  for (const [key, value] of searchParams) {
+    const name = key.replace(/\[\]$/, '');
+
+    if (key !== name || query[name] !== undefined)
+      query[name] = [].concat(query[name] === undefined ? [] : query[name], value);
+    else
+      query[name] = value;
+  }
+
+  return query;
+}
+
+class FakeOpenVeoServer {
+
+  /**
+   * Creates a fake OpenVeo web service running in the current process, to test integrations of the client.
+   *
+   * The token end point (POST /token) delivers access tokens to clients using the client credentials grant with
+   * the expected client id and secret. All other end points require a valid access token: requests without a known
+   * token are rejected with a 401 HTTP code and the error description "Token not found or expired", requests with
+   * an expired token (see tokenExpiresIn and expireTokens) are rejected with a 401 HTTP code and the error
+   * description "Token already expired", as the real web service does.
+   *
+   * Responses of other end points are scripted (see respond), unscripted end points respond with a 404 HTTP code.
+   * Responses of the token end point may also be scripted, e.g. to simulate failures, scripted responses then take
+   * priority over delivered tokens.
+   * All requests, including token requests, are recorded for assertions (see requests).
+   *
+   * @example
+   * const testing = require('@openveo/rest-nodejs-client').testing;
+   * const server = new testing.FakeOpenVeoServer({clientId: 'id', clientSecret: 'secret'});
+   * const url = await server.start();
+   * const client = new OpenVeoClient(url, 'id', 'secret');
+   *
+   * server.respond('GET', 'publish/videos', {body: {entities: [], pagination: {pages: 0}}});
+   * await client.get('publish/videos');
+   * assert.equal(server.requests.length, 2);
+   *
+   * await server.stop();
+   *
+   * @class FakeOpenVeoServer
+   * @constructor
+   * @param {Object} [options] Server options
+   * @param {String} [options.clientId="client-id"] The client id expected by the token end point
+   * @param {String} [options.clientSecret="client-secret"] The client secret expected by the token end point
+   * @param {Number} [options.tokenExpiresIn=3600] The validity of delivered access tokens (in seconds)
+   * @param {Number} [options.latency=0] The delay before responding to each request (in ms)
+   * @param {Number} [options.port=0] The port to listen on, default to a random free port
+   * @throws {TypeError} Thrown if an option is not valid
+   */
+  constructor(options) {
+    options = Object.assign({
+      clientId: 'client-id',
+      clientSecret: 'client-secret',
+      tokenExpiresIn: 3600,
+      latency: 0,
+      port: 0
+    }, options);
+
+    ['clientId', 'clientSecret'].forEach((name) => {
+      if (!options[name] || typeof options[name] !== 'string')
+        throw new TypeError(`Invalid fake server ${name} : ${options[name]}`);
+    });
+
+    ['tokenExpiresIn', 'latency', 'port'].forEach((name) => {
+      if (typeof options[name] !== 'number' || !(options[name] >= 0))
+        throw new TypeError(`Invalid fake server ${name} : ${options[name]}`);
+    });
+
+    Object.defineProperties(this,
+
+      /** @lends module:openveo-rest-nodejs-client/testing/FakeOpenVeoServer~FakeOpenVeoServer */
+      {
+
+        /**
+         * The client id expected by the token end point.
+         *
+         * @type {String}
+         * @instance
+         * @readonly
+         */
+        clientId: {value: options.clientId, enumerable: true},
+
+        /**
+         * The client secret expected by the token end point.
+         *
+         * @type {String}
+         * @instance
+         * @readonly
+         */
+        clientSecret: {value: options.clientSecret},
+
+        /**
+         * The validity of delivered access tokens (in seconds).
+         *
+         * @type {Number}
+         * @default 3600
+         * @instance
+         */
+        tokenExpiresIn: {value: options.tokenExpiresIn, writable: true, enumerable: true},
+
+        /**
+         * The delay before responding to each request (in ms).
+         *
+         * @type {Number}
+         * @default 0
+         * @instance
+         */
+        latency: {value: options.latency, writable: true, enumerable: true},
+
+        /**
+         * The port to listen on, 0 for a random free port.
+         *
+         * @type {Number}
+         * @instance
+         * @readonly
+         * @ignore
+         */
+        port: {value: options.port},
+
+        /**
+         * The HTTP server, null if not started.
+         *
+         * @type {http.Server}
+         * @instance
+         * @ignore
+         */
+        server: {value: null, writable: true},
+
+        /**
+         * The delivered access tokens with their expiration dates as timestamps (in ms).
+         *
+         * @type {Map}
+         * @instance
+         * @readonly
+         * @ignore
+         */
+        tokens: {value: new Map()},
+
+        /**
+         * The scripted responses, in the order they were added.
+         *
+         * @type {Array}
+         * @instance
+         * @readonly
+         * @ignore
+         */
+        scripts: {value: []},
+
+        /**
+         * The sockets opened by clients, destroyed when server stops.
+         *
+         * @type {Set}
+         * @instance
+         * @readonly
+         * @ignore
+         */
+        sockets: {value: new Set()},
+
+        /**
+         * The list of requests received by the server, in the order they were received.
+         *
+         * @type {Array}
+         * @instance
+         * @readonly
+         */
+        requests: {value: [], enumerable: true},
+
+        /**
+         * The URL of the server, null if not started.
+         *
+         * @type {String}
+         * @instance
+         * @readonly
+         */
+        url: {get: () => (this.server ? `http://127.0.0.1:${this.server.address().port}` : null), enumerable: true}
+
+      }
+
+    );
+  }
+
+  /**
+   * Starts the server.
+   *
+   * @async
+   * @return {Promise} Promise resolving with the URL of the server
+   */
+  start() {
+    if (this.server) return Promise.resolve(this.url);
+
+    return new Promise((resolve, reject) => {
+      const server = http.createServer((request, response) => this.handleRequest(request, response));
+
+      server.on('connection', (socket) => {
+        this.sockets.add(socket);
+        socket.on('close', () => this.sockets.delete(socket));
+      });
+
+      server.once('error', reject);
+      server.listen(this.port, '127.0.0.1', () => {
+        server.removeListener('error', reject);
+        this.server = server;
+        resolve(this.url);
+      });
+    });
+  }
+
+  /**
+   * Stops the server.
+   *
+   * Opened connections are closed.
+   *
+   * @async
+   * @return {Promise} Promise resolving when server has been stopped
+   */
+  stop() {
+    if (!this.server) return Promise.resolve();
+
+    const server = this.server;
+    this.server = null;
+
+    return new Promise((resolve, reject) => {
+      server.close((error) => error ? reject(error) : resolve());
+      for (const socket of this.sockets) socket.destroy();
+    });
+  }
+
+  /**
+   * Scripts the response of an end point.
+   *
+   * Scripted responses are looked up in the order they were added, the first one matching the request is used.
+   * A response scripted for a limited number of requests is forgotten once used up, thus a sequence of responses
+   * can be scripted for the same end point.
+   *
+   * @example
+   * // First request fails with a 503 HTTP code, next ones succeed
+   * server.respond('GET', 'publish/videos', {status: 503}, {times: 1});
+   * server.respond('GET', 'publish/videos', {body: {entities: [], pagination: {pages: 0}}});
+   *
+   * // Response depending on the request
+   * server.respond('GET', /^publish\/videos\/.+$/, (request) => {
+   *   return {body: {entity: {id: request.endPoint.split('/').pop()}}};
+   * });
+   *
+   * @param {String} method The HTTP method of the request, "*" for all methods
+   * @param {(String|RegExp)} endPoint The end point of the request without the query string and leading slash, or
+   * a regular expression testing the end point
+   * @param {(module:openveo-rest-nodejs-client/testing/FakeOpenVeoServer~ScriptedResponse|Function)} response The
+   * response or a function receiving the recorded request and returning the response (or a Promise resolving with
+   * the response)
+   * @param {Object} [options] Script options
+   * @param {Number} [options.times=Infinity] The number of requests the response is used for
+   * @return {module:openveo-rest-nodejs-client/testing/FakeOpenVeoServer~FakeOpenVeoServer} The server, to chain
+   * calls
+   * @throws {TypeError} Thrown if method, endPoint, response or an option is not valid
+   */
+  respond(method, endPoint, response, options) {
+    options = Object.assign({times: Infinity}, options);
+
+    if (!method || typeof method !== 'string')
+      throw new TypeError(`Invalid method : ${method}`);
+
+    if (typeof endPoint !== 'string' && !(endPoint instanceof RegExp))
+      throw new TypeError(`Invalid end point : ${endPoint}`);
+
+    if (!response || (typeof response !== 'object' && typeof response !== 'function'))
+      throw new TypeError(`Invalid response : ${response}`);
+
+    if (!(options.times > 0))
+      throw new TypeError(`Invalid times : ${options.times}`);
+
+    this.scripts.push({
+      method: method.toUpperCase(),
+      endPoint: typeof endPoint === 'string' ? endPoint.replace(/^\/+/, '') : endPoint,
+      response,
+      times: options.times
+    });
+    return this;
+  }
+
+  /**
+   * Expires all delivered access tokens.
+   *
+   * Next requests using these tokens are rejected with the error description "Token already expired", which makes
+   * the client authenticate again.
+   */
+  expireTokens() {
+    for (const token of this.tokens.keys()) this.tokens.set(token, 0);
+  }
+
+  /**
+   * Forgets delivered tokens, scripted responses and recorded requests.
+   */
+  reset() {
+    this.tokens.clear();
+    this.scripts.length = 0;
+    this.requests.length = 0;
+  }
+
+  /**
+   * Finds the scripted response of a request and forgets it if used up.
+   *
+   * @ignore
+   * @param {module:openveo-rest-nodejs-client/testing/FakeOpenVeoServer~RecordedRequest} request The request
+   * @return {(Object|Null)} The script, null if no script matches the request
+   */
+  findScript(request) {
+    const index = this.scripts.findIndex((script) => {
+      if (script.method !== '*' && script.method !== request.method) return false;
+      if (script.endPoint instanceof RegExp) return script.endPoint.test(request.endPoint);
+      return script.endPoint === request.endPoint;
+    });
+    if (index === -1) return null;
+
+    const script = this.scripts[index];
+    if (--script.times <= 0) this.scripts.splice(index, 1);
+    return script;
+  }
+
+  /**
+   * Delivers an access token if client credentials are valid.
+   *
+   * @ignore
+   * @param {module:openveo-rest-nodejs-client/testing/FakeOpenVeoServer~RecordedRequest} request The token request
+   * @return {module:openveo-rest-nodejs-client/testing/FakeOpenVeoServer~ScriptedResponse} The response
+   */
+  deliverToken(request) {
+    const authorization = request.headers.authorization || '';
+    const credentials = Buffer.from(authorization.replace(/^Basic /, ''), 'base64').toString('utf8');
+    const grantType = request.body && request.body.grant_type;
+
+    if (grantType !== 'client_credentials')
+      return {status: 400, body: {error: 'unsupported_grant_type', error_description: 'Unsupported grant type'}};
+
+    if (credentials !== `${this.clientId}:${this.clientSecret}`)
+      return {status: 401, body: {error: 'invalid_client', error_description: 'Invalid client credentials'}};
+
+    const accessToken = crypto.randomBytes(16).toString('hex');
+    this.tokens.set(accessToken, Date.now() + this.tokenExpiresIn * 1000);
+
+    return {
+      body: {
+        access_token: accessToken,
+        token_type: 'Bearer',
+        expires_in: this.tokenExpiresIn
+      }
+    };
+  }
+
+  /**
+   * Verifies the access token of a request.
+   *
+   * @ignore
+   * @param {module:openveo-rest-nodejs-client/testing/FakeOpenVeoServer~RecordedRequest} request The request
+   * @return {(module:openveo-rest-nodejs-client/testing/FakeOpenVeoServer~ScriptedResponse|Null)} The error
+   * response if token is not valid, null otherwise
+   */
+  verifyToken(request) {
+    const accessToken = (request.headers.authorization || '').replace(/^Bearer /, '');
+    const expiration = this.tokens.get(accessToken);
+
+    if (expiration === undefined)
+      return {status: 401, body: {error_description: 'Token not found or expired'}};
+
+    if (expiration <= Date.now())
+      return {status: 401, body: {error_description: 'Token already expired'}};
+
+    return null;
+  }
+
+  /**
+   * Handles a request received by the server.
+   *
+   * @ignore
+   * @param {http.IncomingMessage} request The request
+   * @param {http.ServerResponse} response The response
+   */
+  handleRequest(request, response) {
+    const chunks = [];
+
+    request.on('data', (chunk) => chunks.push(chunk));
+    request.on('end', () => {
+      const requestUrl = new URL(request.url, 'http://127.0.0.1');
+      const recordedRequest = {
+        method: request.method,
+        endPoint: decodeURIComponent(requestUrl.pathname).replace(/^\/+/, ''),
+        query: parseQuery(requestUrl.searchParams),
+        headers: request.headers,
+        body: parseBody(Buffer.concat(chunks), request.headers['content-type']),
+        date: Date.now()
+      };
+      this.requests.push(recordedRequest);
+
+      Promise.resolve().then(() => {
+        let script;
+
+        // Scripted responses of the token end point take priority over delivered tokens
+        if (request.method === 'POST' && recordedRequest.endPoint === 'token') {
+          script = this.findScript(recordedRequest);
+          if (!script) return this.deliverToken(recordedRequest);
+        } else {
+          const tokenError = this.verifyToken(recordedRequest);
+          if (tokenError) return tokenError;
+
+          script = this.findScript(recordedRequest);
+        }
+
+        if (!script) {
+          const message = `No response scripted for ${request.method} /${recordedRequest.endPoint}`;
+          return {status: 404, body: {error: {code: 0, module: 'core', message}}};
+        }
+
+        return typeof script.response === 'function' ? script.response(recordedRequest) : script.response;
+      }).then((scriptedResponse) => {
+        scriptedResponse = scriptedResponse || {};
+        const delay = this.latency + (scriptedResponse.delay || 0);
+        return new Promise((resolve) => timers.setTimeout(() => resolve(scriptedResponse), delay));
+      }).then((scriptedResponse) => {
+        if (scriptedResponse.destroy) return request.socket.destroy();
+
+        let body = scriptedResponse.body;
+        const headers = Object.assign({}, scriptedResponse.headers);
+
+        if (body !== undefined && !Buffer.isBuffer(body) && typeof body !== 'string') {
+          body = JSON.stringify(body);
+          headers['Content-Type'] = headers['Content-Type'] || 'application/json';
+        }
+
+        response.writeHead(scriptedResponse.status || 200, headers);
+        response.end(body);
+      }).catch((error) => {
+        response.writeHead(500, {'Content-Type': 'application/json'});
+        response.end(JSON.stringify({error: {code: 0, module: 'core', message: error.message}}));
+      });
+    });
+  }
+
+}
+
+/**
+ * Describes a request received by the fake server.
+ *
+ * @typedef {Object} module:openveo-rest-nodejs-client/testing/FakeOpenVeoServer~RecordedRequest
+ * @property {String} method The HTTP method in upper case
+ * @property {String} endPoint The end point without the query string and leading slash (e.g. "publish/videos")
+ * @property {Object} query The query parameters, parameters present several times or suffixed by "[]" are
+ * gathered in Arrays
+ * @property {Object} headers The request headers with lower case names
+ * @property {(Object|String)} [body] The body, parsed if sent as JSON
+ * @property {Number} date The reception date as a timestamp (in ms)
+ */
+
+/**
+ * Describes a response scripted on the fake server.
+ *
+ * @typedef {Object} module:openveo-rest-nodejs-client/testing/FakeOpenVeoServer~ScriptedResponse
+ * @property {Number} [status=200] The HTTP code
+ * @property {Object} [headers] The response headers
+ * @property {(Object|Array|String|Buffer)} [body] The body, sent as JSON unless a String or a Buffer
+ * @property {Number} [delay=0] The delay before responding, added to the server latency (in ms)
+ * @property {Boolean} [destroy=false] true to close the connection instead of responding, to simulate a network
+ * failure
+ */
+
+module.exports = FakeOpenVeoServer;
@@ -0,0 +1,11 @@
+'use strict';
+
+/**
+ * Exposes utilities to test integrations of the client without a real OpenVeo web service.
+ *
+ * @module openveo-rest-nodejs-client/testing
+ * @property {module:openveo-rest-nodejs-client/testing/FakeOpenVeoServer} FakeOpenVeoServer FakeOpenVeoServer
+ * module
+ */
+
+module.exports.FakeOpenVeoServer = process.requireRestClient('lib/testing/FakeOpenVeoServer.js');
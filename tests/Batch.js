@@ -0,0 +1,200 @@
+'use strict';
+
+const assert = require('assert');
+const restClient = require('../index.js');
+
+const OpenVeoClient = restClient.OpenVeoClient;
+const FakeOpenVeoServer = restClient.testing.FakeOpenVeoServer;
+const AbortError = restClient.errors.AbortError;
+
+describe('Batch', () => {
+  let server;
+  let client;
+  let videos;
+
+  /**
+   * Gets the ids of a request on a comma separated list of ids.
+   *
+   * @param {Object} request The recorded request
+   * @return {Array} The ids
+   */
+  function getRequestIds(request) {
+    return decodeURIComponent(request.endPoint.split('/')[2]).split(',');
+  }
+
+  beforeEach(() => {
+    server = new FakeOpenVeoServer();
+
+    // Existing videos, videos with an id starting with "locked" can't be changed
+    videos = new Set(['1', '2', '3', 'locked-4']);
+
+    server.respond('GET', /^publish\/videos\/[^/]+$/, (request) => {
+      const id = getRequestIds(request)[0];
+      return videos.has(id) ? {body: {entity: {id}}} : {status: 404, body: {error: {code: 1, module: 'publish'}}};
+    });
+
+    // Requests on unknown videos are refused, requests on "broken" fail
+    const changeVideos = (request) => {
+      const ids = getRequestIds(request);
+
+      if (ids.includes('broken')) return {status: 500, body: {error: {code: 2, module: 'publish'}}};
+      if (!ids.every((id) => videos.has(id))) return {status: 404, body: {error: {code: 1, module: 'publish'}}};
+
+      const changedIds = ids.filter((id) => !id.startsWith('locked'));
+      if (request.method === 'DELETE') changedIds.forEach((id) => videos.delete(id));
+      return {body: {total: changedIds.length}};
+    };
+    server.respond('DELETE', /^publish\/videos\/[^/]+$/, changeVideos);
+    server.respond('POST', /^publish\/videos\/[^/]+(\/publish)?$/, changeVideos);
+
+    return server.start().then((url) => {
+      client = new OpenVeoClient(url, 'client-id', 'client-secret');
+    });
+  });
+
+  afterEach(() => {
+    return client.close().then(() => server.stop());
+  });
+
+  /**
+   * Gets the end points requested to the server with the given method, token requests excluded.
+   *
+   * @param {String} method The HTTP method
+   * @return {Array} The requested end points
+   */
+  function getEndPoints(method) {
+    return server.requests
+      .filter((request) => request.method === method && request.endPoint !== 'token')
+      .map((request) => request.endPoint);
+  }
+
+  it('should report the outcome of each operation', () => {
+    return client.batch()
+      .request('post', 'publish/videos/1', {body: {title: 'Title 1'}})
+      .request('post', 'publish/videos/2', {body: {title: 'Title 2'}})
+      .request('get', 'publish/unknown')
+      .run()
+      .then((report) => {
+        assert.strictEqual(report.total, 3);
+        assert.strictEqual(report.succeeded, 2);
+        assert.strictEqual(report.failed, 1);
+        assert.deepStrictEqual(report.items.map((item) => item.status), ['fulfilled', 'fulfilled', 'rejected']);
+        assert.deepStrictEqual(report.items[0].value, {total: 1});
+        assert.strictEqual(report.items[2].reason.httpCode, 404);
+      });
+  });
+
+  it('should group ids in requests of maxIds ids', () => {
+    return client.batch({maxIds: 2})
+      .requestIds('delete', 'publish/videos/:ids', ['1', '2', '3'])
+      .run()
+      .then((report) => {
+        assert.strictEqual(report.succeeded, 3);
+        assert.deepStrictEqual(report.items.map((item) => item.id), ['1', '2', '3']);
+        assert.deepStrictEqual(getEndPoints('DELETE'), ['publish/videos/1,2', 'publish/videos/3']);
+      });
+  });
+
+  it('should verify each deletion of a group which deleted less entities than its number of ids', () => {
+    return client.batch({maxIds: 3})
+      .delete('publish/videos', ['1', 'locked-4', '3'])
+      .run()
+      .then((report) => {
+        assert.strictEqual(report.succeeded, 2);
+        assert.strictEqual(report.failed, 1);
+        assert.deepStrictEqual(report.items.map((item) => item.status), ['fulfilled', 'rejected', 'fulfilled']);
+        report.items.forEach((item) => {
+          assert.strictEqual(item.method, 'DELETE');
+          assert.strictEqual(item.endPoint, 'publish/videos/1,locked-4,3');
+        });
+        assert.deepStrictEqual(videos, new Set(['2', 'locked-4']));
+        assert.deepStrictEqual(getEndPoints('DELETE'), ['publish/videos/1,locked-4,3']);
+        assert.deepStrictEqual(getEndPoints('GET'), [
+          'publish/videos/1',
+          'publish/videos/locked-4',
+          'publish/videos/3'
+        ]);
+      });
+  });
+
+  it('should report ids of a group which affected less entities than its number of ids as partial', () => {
+    return client.batch({maxIds: 3})
+      .requestIds('post', 'publish/videos/:ids/publish', ['1', 'locked-4', '3'])
+      .run()
+      .then((report) => {
+        assert.strictEqual(report.partial, 3);
+        report.items.forEach((item) => assert.deepStrictEqual(item.value, {total: 2}));
+        assert.deepStrictEqual(getEndPoints('POST'), ['publish/videos/1,locked-4,3/publish']);
+      });
+  });
+
+  it('should report a single id which affected no entity as rejected', () => {
+    return client.batch()
+      .delete('publish/videos', 'locked-4')
+      .run()
+      .then((report) => {
+        assert.strictEqual(report.failed, 1);
+        assert.deepStrictEqual(getEndPoints('GET'), []);
+      });
+  });
+
+  it('should request ids one by one if a group is refused', () => {
+    return client.batch({maxIds: 2})
+      .delete('publish/videos', ['missing-1', '2', '3'])
+      .run()
+      .then((report) => {
+        assert.strictEqual(report.succeeded, 2);
+        assert.deepStrictEqual(report.items.map((item) => item.id), ['missing-1', '2', '3']);
+        assert.deepStrictEqual(report.items.map((item) => item.status), ['rejected', 'fulfilled', 'fulfilled']);
+        assert.strictEqual(report.items[0].reason.httpCode, 404);
+        assert.deepStrictEqual(videos, new Set(['1', 'locked-4']));
+      });
+  });
+
+  it('should not request ids one by one if a group fails without being refused', () => {
+    return client.batch()
+      .delete('publish/videos', ['1', 'broken'])
+      .run()
+      .then((report) => {
+        assert.strictEqual(report.failed, 2);
+        report.items.forEach((item) => assert.strictEqual(item.reason.httpCode, 500));
+        assert.deepStrictEqual(getEndPoints('DELETE'), ['publish/videos/1,broken']);
+      });
+  });
+
+  it('should not execute more than concurrency requests at the same time', () => {
+    let running = 0;
+    let maxRunning = 0;
+
+    client.use((context, next) => {
+      maxRunning = Math.max(maxRunning, ++running);
+      return next().then((result) => {
+        running--;
+        return result;
+      });
+    });
+
+    const batch = client.batch({concurrency: 2});
+    for (let index = 0; index < 6; index++) batch.request('post', `publish/videos/${index % 3 + 1}`, {body: {}});
+
+    return batch.run().then((report) => {
+      assert.strictEqual(report.succeeded, 6);
+      assert.strictEqual(maxRunning, 2);
+    });
+  });
+
+  it('should report operations of an aborted batch as rejected with an AbortError', () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    return client.batch({signal: controller.signal})
+      .requestIds('delete', 'publish/videos/:ids', ['1', '2'])
+      .run()
+      .then((report) => {
+        assert.strictEqual(report.failed, 2);
+        report.items.forEach((item) => assert.ok(item.reason instanceof AbortError));
+        assert.deepStrictEqual(getEndPoints('DELETE'), []);
+      });
+  });
+
+});
@@ -0,0 +1,90 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const timers = require('timers');
+const restClient = require('../index.js');
+
+const FileTokenStore = restClient.stores.FileTokenStore;
+
+describe('FileTokenStore', () => {
+  let directoryPath;
+  let filePath;
+
+  beforeEach(() => {
+    return fs.promises.mkdtemp(path.join(os.tmpdir(), 'openveo-rest-client-')).then((createdPath) => {
+      directoryPath = createdPath;
+      filePath = path.join(directoryPath, 'tokens.json');
+    });
+  });
+
+  afterEach(() => {
+    return fs.promises.rm(directoryPath, {recursive: true, force: true});
+  });
+
+  /**
+   * Waits for a delay.
+   *
+   * @param {Number} delay The delay (in ms)
+   * @return {Promise} Promise resolving when delay has expired
+   */
+  function wait(delay) {
+    return new Promise((resolve) => timers.setTimeout(resolve, delay));
+  }
+
+  it('should store and get tokens', () => {
+    const store = new FileTokenStore(filePath);
+    const token = {accessToken: 'access-token', expiration: Date.now() + 60000, refreshToken: 'refresh-token'};
+
+    return store.set('key', token).then(() => {
+      return new FileTokenStore(filePath).get('key');
+    }).then((storedToken) => {
+      assert.deepStrictEqual(storedToken, token);
+      return fs.promises.stat(filePath);
+    }).then((stats) => {
+      if (process.platform !== 'win32') assert.strictEqual(stats.mode & 0o777, 0o600);
+    });
+  });
+
+  it('should keep a held lock from being considered abandoned', () => {
+    const store = new FileTokenStore(filePath, {lockStaleTimeout: 200});
+    const otherStore = new FileTokenStore(filePath, {lockStaleTimeout: 200, lockTimeout: 100});
+
+    return store.lock('key').then((release) => {
+      return wait(400).then(() => otherStore.lock('key')).then(() => {
+        assert.fail('Expected lock to be refused');
+      }, (error) => {
+        assert.ok(/couldn't be acquired/.test(error.message));
+        return release();
+      });
+    }).then(() => otherStore.lock('key')).then((release) => release());
+  });
+
+  it('should take over an abandoned lock', () => {
+    const store = new FileTokenStore(filePath, {lockStaleTimeout: 100});
+
+    return fs.promises.writeFile(store.lockFilePath, 'dead-owner').then(() => {
+      const past = new Date(Date.now() - 1000);
+      return fs.promises.utimes(store.lockFilePath, past, past);
+    }).then(() => store.lock('key')).then((release) => release()).then(() => {
+      return fs.promises.access(store.lockFilePath);
+    }).then(() => {
+      assert.fail('Expected lock file to be removed');
+    }, (error) => {
+      assert.strictEqual(error.code, 'ENOENT');
+    });
+  });
+
+  it('should not remove a lock taken over by another owner when released', () => {
+    const store = new FileTokenStore(filePath);
+
+    return store.lock('key').then((release) => {
+      return fs.promises.writeFile(store.lockFilePath, 'other-owner').then(release);
+    }).then(() => fs.promises.readFile(store.lockFilePath, 'utf8')).then((content) => {
+      assert.strictEqual(content, 'other-owner');
+    });
+  });
+
+});
@@ -0,0 +1,100 @@
+'use strict';
+
+const assert = require('assert');
+const restClient = require('../index.js');
+
+const OpenVeoClient = restClient.OpenVeoClient;
+const FakeOpenVeoServer = restClient.testing.FakeOpenVeoServer;
+const AbortError = restClient.errors.AbortError;
+
+describe('Paginator', () => {
+  const videos = Array.from({length: 25}, (value, index) => ({id: String(index)}));
+  let server;
+  let client;
+
+  beforeEach(() => {
+    server = new FakeOpenVeoServer();
+
+    // Paginated end point of 25 videos, 10 per page by default
+    server.respond('GET', 'publish/videos', (request) => {
+      const limit = Number(request.query.limit) || 10;
+      const page = Number(request.query.page) || 0;
+
+      return {
+        body: {
+          entities: videos.slice(page * limit, (page + 1) * limit),
+          pagination: {limit, page, pages: Math.ceil(videos.length / limit), size: videos.length}
+        }
+      };
+    });
+
+    return server.start().then((url) => {
+      client = new OpenVeoClient(url, 'client-id', 'client-secret');
+    });
+  });
+
+  afterEach(() => {
+    return client.close().then(() => server.stop());
+  });
+
+  /**
+   * Gets the pages requested to the server.
+   *
+   * @return {Array} The requested pages
+   */
+  function getRequestedPages() {
+    return server.requests
+      .filter((request) => request.endPoint === 'publish/videos')
+      .map((request) => Number(request.query.page));
+  }
+
+  it('should iterate over the entities of all pages', () => {
+    return client.paginate('publish/videos').toArray().then((entities) => {
+      assert.deepStrictEqual(entities, videos);
+      assert.deepStrictEqual(getRequestedPages(), [0, 1, 2]);
+    });
+  });
+
+  it('should request pages with the expected limit and query parameters', () => {
+    return client.paginate('publish/videos', {limit: 20, query: {states: [12]}}).toArray().then((entities) => {
+      const requests = server.requests.filter((request) => request.endPoint === 'publish/videos');
+
+      assert.deepStrictEqual(entities, videos);
+      assert.strictEqual(requests.length, 2);
+      requests.forEach((request) => {
+        assert.strictEqual(request.query.limit, '20');
+        assert.deepStrictEqual(request.query.states, ['12']);
+      });
+    });
+  });
+
+  it('should stop requesting pages when the maximum number of entities is reached', () => {
+    return client.paginate('publish/videos', {maxItems: 12}).toArray().then((entities) => {
+      assert.deepStrictEqual(entities, videos.slice(0, 12));
+      assert.deepStrictEqual(getRequestedPages(), [0, 1]);
+    });
+  });
+
+  it('should start from the given page', () => {
+    return client.paginate('publish/videos', {page: 2}).toArray().then((entities) => {
+      assert.deepStrictEqual(entities, videos.slice(20));
+      assert.deepStrictEqual(getRequestedPages(), [2]);
+    });
+  });
+
+  it('should reject the iteration with an AbortError when aborted', () => {
+    const controller = new AbortController();
+    const paginator = client.paginate('publish/videos', {signal: controller.signal});
+
+    return paginator.next().then((result) => {
+      assert.deepStrictEqual(result.value, videos[0]);
+      controller.abort();
+      return paginator.next();
+    }).then(() => {
+      assert.fail('Expected iteration to fail');
+    }, (error) => {
+      assert.ok(error instanceof AbortError);
+    });
+  });
+
+});
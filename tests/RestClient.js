@@ -0,0 +1,279 @@
+'use strict';
+
+const assert = require('assert');
+const stream = require('stream');
+const restClient = require('../index.js');
+
+const OpenVeoClient = restClient.OpenVeoClient;
+const RetryPolicy = restClient.RetryPolicy;
+const FakeOpenVeoServer = restClient.testing.FakeOpenVeoServer;
+const AbortError = restClient.errors.AbortError;
+
+describe('RestClient', () => {
+  let server;
+  let client;
+
+  beforeEach(() => {
+    server = new FakeOpenVeoServer();
+    return server.start().then((url) => {
+      client = new OpenVeoClient(url, 'client-id', 'client-secret');
+      client.retryPolicy = new RetryPolicy({minDelay: 10, jitter: false});
+    });
+  });
+
+  afterEach(() => {
+    return client.close().then(() => server.stop());
+  });
+
+  /**
+   * Gets the requests received by the server on an end point.
+   *
+   * @param {String} endPoint The end point
+   * @return {Array} The recorded requests
+   */
+  function getRequests(endPoint) {
+    return server.requests.filter((request) => request.endPoint === endPoint);
+  }
+
+  /**
+   * Asserts that the multipart body of a recorded request uses the boundary of its Content-Type header.
+   *
+   * @param {Object} request The recorded request
+   */
+  function assertMultipartBoundary(request) {
+    const boundary = /boundary=(.+)$/.exec(request.headers['content-type'])[1];
+    assert.ok(request.body.startsWith(`--${boundary}\r\n`));
+    assert.ok(request.body.endsWith(`--${boundary}--\r\n`));
+  }
+
+  describe('retry', () => {
+
+    it('should retry a GET request failing with a 503 HTTP code', () => {
+      server.respond('GET', 'publish/videos/42', {status: 503}, {times: 2});
+      server.respond('GET', 'publish/videos/42', {body: {entity: {id: '42'}}});
+
+      return client.get('publish/videos/42').then((result) => {
+        assert.strictEqual(result.entity.id, '42');
+        assert.strictEqual(getRequests('publish/videos/42').length, 3);
+      });
+    });
+
+    it('should retry a GET request when the connection is closed', () => {
+      server.respond('GET', 'publish/videos/42', {destroy: true}, {times: 1});
+      server.respond('GET', 'publish/videos/42', {body: {entity: {id: '42'}}});
+
+      return client.get('publish/videos/42').then((result) => {
+        assert.strictEqual(result.entity.id, '42');
+        assert.strictEqual(getRequests('publish/videos/42').length, 2);
+      });
+    });
+
+    it('should not retry a POST request', () => {
+      server.respond('POST', 'publish/videos/42', {status: 503}, {times: 1});
+      server.respond('POST', 'publish/videos/42', {body: {total: 1}});
+
+      return client.post('publish/videos/42', {title: 'Title'}).then(() => {
+        assert.fail('Expected request to fail');
+      }, (error) => {
+        assert.strictEqual(error.httpCode, 503);
+        assert.strictEqual(getRequests('publish/videos/42').length, 1);
+      });
+    });
+
+    it('should send a retried multipart request with the boundary of its body', () => {
+      server.respond('PUT', 'publish/videos/42', {status: 503}, {times: 1});
+      server.respond('PUT', 'publish/videos/42', {body: {total: 1}});
+
+      return client.request('put', 'publish/videos/42', {body: {title: 'Title'}, multipart: true}).then(() => {
+        const requests = getRequests('publish/videos/42');
+
+        assert.strictEqual(requests.length, 2);
+        assert.notStrictEqual(requests[0].headers['content-type'], requests[1].headers['content-type']);
+        requests.forEach(assertMultipartBoundary);
+      });
+    });
+
+    it('should not retry a multipart request holding a stream', () => {
+      server.respond('PUT', 'publish/videos/42', {status: 503}, {times: 1});
+      server.respond('PUT', 'publish/videos/42', {body: {total: 1}});
+
+      const file = {value: stream.Readable.from(['content']), filename: 'file.txt', knownLength: 7};
+      return client.request('put', 'publish/videos/42', {body: {file}, multipart: true}).then(() => {
+        assert.fail('Expected request to fail');
+      }, (error) => {
+        assert.strictEqual(error.httpCode, 503);
+        assert.strictEqual(getRequests('publish/videos/42').length, 1);
+      });
+    });
+
+    it('should stop retrying after the maximum number of retries', () => {
+      client.retryPolicy = new RetryPolicy({minDelay: 10, jitter: false, maxRetries: 2});
+      server.respond('GET', 'publish/videos/42', {status: 503});
+
+      return client.get('publish/videos/42').then(() => {
+        assert.fail('Expected request to fail');
+      }, (error) => {
+        assert.strictEqual(error.httpCode, 503);
+        assert.strictEqual(getRequests('publish/videos/42').length, 3);
+      });
+    });
+
+    it('should retry a token request failing with a 503 HTTP code', () => {
+      server.respond('POST', 'token', {status: 503}, {times: 1});
+      server.respond('GET', 'publish/videos/42', {body: {entity: {id: '42'}}});
+
+      return client.get('publish/videos/42').then((result) => {
+        assert.strictEqual(result.entity.id, '42');
+        assert.strictEqual(getRequests('token').length, 2);
+      });
+    });
+
+  });
+
+  describe('authentication', () => {
+
+    it('should authenticate once for concurrent requests', () => {
+      server.respond('GET', 'publish/videos', {body: {entities: [], pagination: {pages: 0}}});
+
+      return Promise.all([
+        client.get('publish/videos'),
+        client.get('publish/videos'),
+        client.get('publish/videos')
+      ]).then(() => {
+        assert.strictEqual(getRequests('token').length, 1);
+        assert.strictEqual(getRequests('publish/videos').length, 3);
+      });
+    });
+
+    it('should authenticate again and replay the request when the token has expired', () => {
+      server.respond('GET', 'publish/videos/42', {body: {entity: {id: '42'}}});
+
+      return client.get('publish/videos/42').then(() => {
+        server.expireTokens();
+        return client.get('publish/videos/42');
+      }).then((result) => {
+        assert.strictEqual(result.entity.id, '42');
+        assert.strictEqual(getRequests('token').length, 2);
+        assert.strictEqual(getRequests('publish/videos/42').length, 3);
+      });
+    });
+
+    it('should replay a multipart request with the boundary of its body when the token has expired', () => {
+      server.respond('GET', 'publish/videos/42', {body: {entity: {id: '42'}}});
+      server.respond('POST', 'publish/videos/42', {body: {total: 1}});
+
+      return client.get('publish/videos/42').then(() => {
+        server.expireTokens();
+        return client.request('post', 'publish/videos/42', {body: {title: 'Title'}, multipart: true});
+      }).then(() => {
+        const requests = server.requests.filter((request) => request.method === 'POST' && request.endPoint !== 'token');
+
+        assert.strictEqual(requests.length, 2);
+        requests.forEach(assertMultipartBoundary);
+      });
+    });
+
+    it('should authenticate with the deprecated authenticateRequest if authenticationStrategy is removed', () => {
+      server.respond('GET', 'publish/videos/42', {body: {entity: {id: '42'}}});
+      client.authenticationStrategy = null;
+
+      return client.get('publish/videos/42').then((result) => {
+        assert.strictEqual(result.entity.id, '42');
+        assert.strictEqual(client.authenticateRequest, client.authenticateRequest);
+        assert.strictEqual(getRequests('token')[0].headers.authorization, `Basic ${client.credentials}`);
+      });
+    });
+
+    it('should reject requests if credentials are refused', () => {
+      return client.close().then(() => {
+        client = new OpenVeoClient(server.url, 'client-id', 'wrong-secret');
+        server.respond('GET', 'publish/videos/42', {body: {entity: {id: '42'}}});
+        return client.get('publish/videos/42');
+      }).then(() => {
+        assert.fail('Expected request to fail');
+      }, (error) => {
+        assert.strictEqual(getRequests('publish/videos/42').length, 0);
+        assert.ok(error instanceof Error);
+      });
+    });
+
+  });
+
+  describe('request descriptors', () => {
+
+    beforeEach(() => {
+      server.respond('*', 'publish/videos', {body: {entities: [], pagination: {pages: 0}}});
+    });
+
+    it('should serialize the query parameters of a request descriptor', () => {
+      return client.request('get', 'publish/videos', {query: {page: 1, states: [6, 12]}}).then(() => {
+        const request = getRequests('publish/videos')[0];
+        assert.deepStrictEqual(request.query, {page: '1', states: ['6', '12']});
+      });
+    });
+
+    it('should reject request descriptors with unknown properties', () => {
+      assert.throws(() => client.request('get', 'publish/videos', {querry: {page: 1}}), TypeError);
+    });
+
+    it('should accept a request descriptor in place of the options of get and delete', () => {
+      return client.get('publish/videos', {query: {page: 1}, headers: {'X-Test': 'get'}}).then(() => {
+        return client.delete('publish/videos', {query: {page: 2}, headers: {'X-Test': 'delete'}});
+      }).then(() => {
+        const requests = getRequests('publish/videos');
+        assert.deepStrictEqual(requests.map((request) => request.method), ['GET', 'DELETE']);
+        assert.deepStrictEqual(requests.map((request) => request.query.page), ['1', '2']);
+        assert.deepStrictEqual(requests.map((request) => request.headers['x-test']), ['get', 'delete']);
+      });
+    });
+
+    it('should keep accepting http(s) options and a timeout in get', () => {
+      return client.get('publish/videos?page=1', {headers: {'X-Test': 'get'}, family: 4}, 5000).then(() => {
+        const request = getRequests('publish/videos')[0];
+        assert.strictEqual(request.query.page, '1');
+        assert.strictEqual(request.headers['x-test'], 'get');
+      });
+    });
+
+    it('should accept a single request descriptor in executeRequest', () => {
+      return client.executeRequest({method: 'post', endPoint: 'publish/videos', body: {title: 'Title'}}).then(() => {
+        const request = getRequests('publish/videos')[0];
+        assert.strictEqual(request.method, 'POST');
+        assert.deepStrictEqual(request.body, {title: 'Title'});
+      });
+    });
+
+  });
+
+  describe('abort', () => {
+
+    it('should reject an aborted request with an AbortError', () => {
+      const controller = new AbortController();
+      server.respond('GET', 'publish/videos/42', {body: {entity: {id: '42'}}, delay: 200});
+
+      const request = client.request('get', 'publish/videos/42', {signal: controller.signal});
+      setTimeout(() => controller.abort(), 50);
+
+      return request.then(() => {
+        assert.fail('Expected request to fail');
+      }, (error) => {
+        assert.ok(error instanceof AbortError);
+      });
+    });
+
+    it('should not send a request aborted before being sent', () => {
+      const controller = new AbortController();
+      controller.abort();
+      server.respond('GET', 'publish/videos/42', {body: {entity: {id: '42'}}});
+
+      return client.request('get', 'publish/videos/42', {signal: controller.signal}).then(() => {
+        assert.fail('Expected request to fail');
+      }, (error) => {
+        assert.ok(error instanceof AbortError);
+        assert.strictEqual(getRequests('publish/videos/42').length, 0);
+      });
+    });
+
+  });
+
+});
@@ -0,0 +1,148 @@
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const restClient = require('../index.js');
+
+const OpenVeoClient = restClient.OpenVeoClient;
+const RetryPolicy = restClient.RetryPolicy;
+const FakeOpenVeoServer = restClient.testing.FakeOpenVeoServer;
+const AbortError = restClient.errors.AbortError;
+
+describe('ResumableUpload', () => {
+  const chunkSize = 1024;
+  const fileContent = crypto.randomBytes(chunkSize * 3 + 100);
+  const fileChecksum = crypto.createHash('sha256').update(fileContent).digest('hex');
+  let server;
+  let client;
+  let directoryPath;
+  let filePath;
+  let upload;
+  let failingOffsets;
+
+  beforeEach(() => {
+    server = new FakeOpenVeoServer();
+    upload = null;
+    failingOffsets = [];
+
+    // Upload end points implementing the protocol expected by ResumableUpload, OpenVeo web service doesn't have them
+    server.respond('POST', 'uploads', (request) => {
+      upload = {id: 'upload-id', offset: 0, size: request.body.size, checksum: request.body.checksum};
+      return {body: {entity: {id: upload.id, offset: upload.offset}}};
+    });
+
+    server.respond('GET', 'uploads/upload-id', () => {
+      return {body: {entity: {id: upload.id, offset: upload.offset}}};
+    });
+
+    server.respond('PUT', 'uploads/upload-id', (request) => {
+      const offset = Number(/name="offset"\r\n\r\n(\d+)/.exec(request.body)[1]);
+      if (offset !== upload.offset) return {status: 409};
+
+      // Simulate a network failure for each occurrence of the offset in failingOffsets
+      const failingIndex = failingOffsets.indexOf(offset);
+      if (failingIndex !== -1) {
+        failingOffsets.splice(failingIndex, 1);
+        return {destroy: true};
+      }
+
+      upload.offset = Math.min(offset + chunkSize, upload.size);
+      return {body: {entity: {id: upload.id, offset: upload.offset}}};
+    });
+
+    server.respond('POST', 'uploads/upload-id/complete', (request) => {
+      return {body: {entity: {id: 'video-id'}, checksum: request.body.checksum}};
+    });
+
+    return fs.promises.mkdtemp(path.join(os.tmpdir(), 'openveo-rest-client-')).then((createdPath) => {
+      directoryPath = createdPath;
+      filePath = path.join(directoryPath, 'file.bin');
+      return fs.promises.writeFile(filePath, fileContent);
+    }).then(() => server.start()).then((url) => {
+      client = new OpenVeoClient(url, 'client-id', 'client-secret');
+      client.retryPolicy = new RetryPolicy({minDelay: 10, jitter: false});
+    });
+  });
+
+  afterEach(() => {
+    return client.close()
+      .then(() => server.stop())
+      .then(() => fs.promises.rm(directoryPath, {recursive: true, force: true}));
+  });
+
+  /**
+   * Gets the offsets of the chunks sent to the server.
+   *
+   * @return {Array} The offsets of the chunks
+   */
+  function getChunkOffsets() {
+    return server.requests
+      .filter((request) => request.method === 'PUT')
+      .map((request) => Number(/name="offset"\r\n\r\n(\d+)/.exec(request.body)[1]));
+  }
+
+  it('should upload a file chunk by chunk and complete the upload', () => {
+    const progresses = [];
+
+    return client.upload('uploads', filePath, {
+      chunkSize,
+      onProgress: (progress) => progresses.push(progress.loaded)
+    }).then((entity) => {
+      assert.deepStrictEqual(entity, {id: 'video-id'});
+      assert.strictEqual(upload.checksum, fileChecksum);
+      assert.deepStrictEqual(getChunkOffsets(), [0, 1024, 2048, 3072]);
+      assert.deepStrictEqual(progresses, [0, 1024, 2048, 3072, 3172]);
+    });
+  });
+
+  it('should resume from the acknowledged offset after a failed chunk', () => {
+    client.retryPolicy = new RetryPolicy({maxRetries: 0});
+    failingOffsets = [1024, 2048];
+
+    return client.upload('uploads', filePath, {chunkSize}).then((entity) => {
+      assert.deepStrictEqual(entity, {id: 'video-id'});
+      assert.deepStrictEqual(getChunkOffsets(), [0, 1024, 1024, 2048, 2048, 3072]);
+      assert.strictEqual(server.requests.filter((request) => request.method === 'GET').length, 2);
+    });
+  });
+
+  it('should resume a previous upload from its acknowledged offset', () => {
+    upload = {id: 'upload-id', offset: 2048, size: fileContent.length, checksum: fileChecksum};
+
+    return client.upload('uploads', filePath, {chunkSize, uploadId: 'upload-id'}).then((entity) => {
+      assert.deepStrictEqual(entity, {id: 'video-id'});
+      assert.deepStrictEqual(getChunkOffsets(), [2048, 3072]);
+    });
+  });
+
+  it('should reject the upload if chunks keep failing after maxResumes resumes', () => {
+    client.retryPolicy = new RetryPolicy({maxRetries: 0});
+    failingOffsets = [1024, 1024, 1024];
+
+    return client.upload('uploads', filePath, {chunkSize, maxResumes: 2}).then(() => {
+      assert.fail('Expected upload to fail');
+    }, (error) => {
+      assert.deepStrictEqual(getChunkOffsets(), [0, 1024, 1024, 1024]);
+      assert.ok(error instanceof Error);
+    });
+  });
+
+  it('should reject the upload with an AbortError when aborted', () => {
+    const controller = new AbortController();
+
+    return client.upload('uploads', filePath, {
+      chunkSize,
+      signal: controller.signal,
+      onProgress: (progress) => progress.loaded && controller.abort()
+    }).then(() => {
+      assert.fail('Expected upload to fail');
+    }, (error) => {
+      assert.ok(error instanceof AbortError);
+      assert.deepStrictEqual(getChunkOffsets(), [0]);
+    });
+  });
+
+});